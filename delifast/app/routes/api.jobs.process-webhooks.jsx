@@ -0,0 +1,74 @@
+/**
+ * API Route: Process Webhooks Job
+ * Endpoint for external cron to run the webhook queue worker
+ *
+ * Call this endpoint every minute via cron:
+ * curl -X POST https://your-app.com/api/jobs/process-webhooks -H "Authorization: Bearer YOUR_JOB_SECRET"
+ */
+
+import {
+  processWebhookQueue,
+  clearCompletedJobs,
+  clearProcessedWebhooks,
+} from "../services/webhookQueue.server";
+import { logger } from "../services/logger.server";
+
+/**
+ * Helper to return JSON Response (React Router v7 compatible)
+ */
+function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ...extraHeaders,
+    },
+  });
+}
+
+export const action = async ({ request }) => {
+  // Verify the request is authorized (use a secret token for cron jobs)
+  const authHeader = request.headers.get("Authorization");
+  const jobSecret = process.env.JOB_SECRET;
+
+  if (jobSecret && authHeader !== `Bearer ${jobSecret}`) {
+    logger.warning("Unauthorized job request: process-webhooks");
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  try {
+    logger.info("Running process-webhooks job via API");
+
+    const result = await processWebhookQueue();
+    const cleared = await clearCompletedJobs();
+    const clearedWebhookIds = await clearProcessedWebhooks();
+
+    return jsonResponse({
+      success: true,
+      ...result,
+      cleared,
+      clearedWebhookIds,
+    });
+  } catch (error) {
+    const message = error?.message || "Unknown error";
+    logger.error("Process webhooks job failed", { error: message });
+
+    return jsonResponse(
+      {
+        success: false,
+        error: message,
+      },
+      500
+    );
+  }
+};
+
+// Also support GET for easier testing
+export const loader = async () => {
+  return jsonResponse({
+    endpoint: "process-webhooks",
+    method: "POST",
+    description: "Process queued order webhooks with retries for all stores",
+    frequency: "Every minute",
+  });
+};
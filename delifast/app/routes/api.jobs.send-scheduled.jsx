@@ -0,0 +1,66 @@
+/**
+ * API Route: Send Scheduled Job
+ * Endpoint for external cron to send orders scheduled for a delivery date
+ *
+ * Call this endpoint hourly via cron:
+ * curl -X POST https://your-app.com/api/jobs/send-scheduled -H "Authorization: Bearer YOUR_JOB_SECRET"
+ */
+
+import { sendAllScheduledOrders } from "../services/jobs.server";
+import { logger } from "../services/logger.server";
+
+/**
+ * Helper to return JSON Response (React Router v7 compatible)
+ */
+function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ...extraHeaders,
+    },
+  });
+}
+
+export const action = async ({ request }) => {
+  // Verify the request is authorized (use a secret token for cron jobs)
+  const authHeader = request.headers.get("Authorization");
+  const jobSecret = process.env.JOB_SECRET;
+
+  if (jobSecret && authHeader !== `Bearer ${jobSecret}`) {
+    logger.warning("Unauthorized job request: send-scheduled");
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  try {
+    logger.info("Running send-scheduled job via API");
+
+    const result = await sendAllScheduledOrders();
+
+    return jsonResponse({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    const message = error?.message || "Unknown error";
+    logger.error("Send scheduled job failed", { error: message });
+
+    return jsonResponse(
+      {
+        success: false,
+        error: message,
+      },
+      500
+    );
+  }
+};
+
+// Also support GET for easier testing
+export const loader = async () => {
+  return jsonResponse({
+    endpoint: "send-scheduled",
+    method: "POST",
+    description: "Send orders whose scheduled delivery send day has come",
+    frequency: "Hourly",
+  });
+};
@@ -0,0 +1,66 @@
+/**
+ * API Route: Sync Catalog Job
+ * Endpoint for external cron to refresh the Delifast city/area catalog
+ *
+ * Call this endpoint daily via cron:
+ * curl -X POST https://your-app.com/api/jobs/sync-catalog -H "Authorization: Bearer YOUR_JOB_SECRET"
+ */
+
+import { syncCatalogFromAnyStore } from "../services/catalog.server";
+import { logger } from "../services/logger.server";
+
+/**
+ * Helper to return JSON Response (React Router v7 compatible)
+ */
+function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ...extraHeaders,
+    },
+  });
+}
+
+export const action = async ({ request }) => {
+  // Verify the request is authorized (use a secret token for cron jobs)
+  const authHeader = request.headers.get("Authorization");
+  const jobSecret = process.env.JOB_SECRET;
+
+  if (jobSecret && authHeader !== `Bearer ${jobSecret}`) {
+    logger.warning("Unauthorized job request: sync-catalog");
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+
+  try {
+    logger.info("Running sync-catalog job via API");
+
+    const result = await syncCatalogFromAnyStore();
+
+    return jsonResponse({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    const message = error?.message || "Unknown error";
+    logger.error("Sync catalog job failed", { error: message });
+
+    return jsonResponse(
+      {
+        success: false,
+        error: message,
+      },
+      500
+    );
+  }
+};
+
+// Also support GET for easier testing
+export const loader = async () => {
+  return jsonResponse({
+    endpoint: "sync-catalog",
+    method: "POST",
+    description: "Refresh the Delifast city and area catalog",
+    frequency: "Daily",
+  });
+};
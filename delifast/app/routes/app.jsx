@@ -23,6 +23,7 @@ export default function App() {
         <s-link href="/app">Dashboard</s-link>
         <s-link href="/app/orders">Orders</s-link>
         <s-link href="/app/settings">Settings</s-link>
+        <s-link href="/app/queue">Queue</s-link>
         <s-link href="/app/logs">Logs</s-link>
       </s-app-nav>
       <Outlet />
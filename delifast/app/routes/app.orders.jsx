@@ -11,7 +11,9 @@ import {
   getStatusLabel,
   getStatusTone,
   isTemporaryId,
+  isCancellableStatus,
 } from "../utils/statusMapping";
+import { parseIssues } from "../utils/orderValidation";
 
 // --------------------
 // SERVER: loader
@@ -31,6 +33,7 @@ export const loader = async ({ request }) => {
   const shop = session.shop;
 
   const url = new URL(request.url);
+  const view = url.searchParams.get("view");
   const status = url.searchParams.get("status");
   const page = parseInt(url.searchParams.get("page") || "1", 10);
   const limit = 20;
@@ -39,16 +42,73 @@ export const loader = async ({ request }) => {
   const { shipments, total } = await getShipments(shop, { status, limit, offset });
 
   // Get status counts
-  const [totalCount, newCount, transitCount, completedCount, errorCount] =
+  const [
+    totalCount,
+    newCount,
+    transitCount,
+    completedCount,
+    scheduledCount,
+    heldCount,
+    errorCount,
+  ] =
     await Promise.all([
       prisma.shipment.count({ where: { shop } }),
       prisma.shipment.count({ where: { shop, status: "new" } }),
       prisma.shipment.count({ where: { shop, status: "in_transit" } }),
       prisma.shipment.count({ where: { shop, status: "completed" } }),
+      prisma.shipment.count({ where: { shop, status: "scheduled" } }),
+      prisma.shipment.count({ where: { shop, status: "held" } }),
       prisma.shipment.count({ where: { shop, status: "error" } }),
     ]);
 
+  const settings = await prisma.storeSettings.findUnique({
+    where: { shop },
+    select: { mode: true, dryRun: true },
+  });
+
+  // Recent unfulfilled Shopify orders, marked with their Delifast send state
+  let awaitingOrders = [];
+  let awaitingError = null;
+
+  if (view === "awaiting") {
+    const { fetchRecentOrders } = await import("../services/shopifyOrders.server");
+
+    try {
+      const orders = await fetchRecentOrders(admin, {
+        first: 50,
+        query: "fulfillment_status:unfulfilled AND status:open",
+      });
+
+      const existing = await prisma.shipment.findMany({
+        where: { shop, shopifyOrderId: { in: orders.map((o) => String(o.id)) } },
+      });
+      const byOrderId = new Map(existing.map((s) => [s.shopifyOrderId, s]));
+
+      awaitingOrders = orders.map((order) => {
+        const shipment = byOrderId.get(String(order.id));
+        const address = order.shipping_address || order.billing_address || {};
+        return {
+          id: String(order.id),
+          name: order.name,
+          createdAt: order.created_at,
+          customerName: `${address.first_name || ""} ${address.last_name || ""}`.trim(),
+          city: address.city || address.province || "",
+          totalPrice: order.total_price,
+          financialStatus: order.financial_status,
+          shipmentId: shipment?.shipmentId || null,
+          shipmentStatus: shipment?.status || null,
+          statusDetails: shipment?.statusDetails || null,
+        };
+      });
+    } catch (error) {
+      awaitingError = error?.message || "Failed to load orders from Shopify";
+    }
+  }
+
   return {
+    view: view || null,
+    awaitingOrders,
+    awaitingError,
     shipments,
     total,
     page,
@@ -59,9 +119,12 @@ export const loader = async ({ request }) => {
       new: newCount,
       in_transit: transitCount,
       completed: completedCount,
+      scheduled: scheduledCount,
+      held: heldCount,
       error: errorCount,
     },
     currentStatus: status || null,
+    dryRun: settings?.mode === "auto" && !!settings?.dryRun,
   };
 };
 
@@ -74,8 +137,12 @@ export const action = async ({ request }) => {
   // ✅ IMPORTANT: server functions dynamic import
   // Adjust path to your real server file:
   const {
+    sendOrderToDelifast,
     refreshOrderStatus,
     updateShipmentId,
+    cancelOrderShipment,
+    repairStatusTags,
+    previewShipment,
   } = await import("../services/orderHandler.server");
 
   const { session, admin } = await authenticate.admin(request);
@@ -103,22 +170,133 @@ export const action = async ({ request }) => {
       return { success: true, message: "Shipment ID updated successfully" };
     }
 
+    if (actionType === "cancel_shipment") {
+      await cancelOrderShipment(shop, orderId, admin, {
+        reason: formData.get("reason") || "Cancelled by merchant",
+      });
+      return { success: true, message: "Shipment cancelled" };
+    }
+
+    if (actionType === "send_orders") {
+      const { fetchOrder } = await import("../services/shopifyOrders.server");
+      const orderIds = formData.get("orderIds")?.split(",").filter(Boolean) || [];
+      const results = [];
+
+      for (const id of orderIds) {
+        try {
+          const order = await fetchOrder(admin, id);
+          const result = await sendOrderToDelifast(shop, order, admin);
+
+          if (result.cancelled) {
+            results.push({ orderId: id, success: false, message: result.message });
+            continue;
+          }
+
+          if (result.held) {
+            results.push({
+              orderId: id,
+              success: false,
+              message: `Held: ${getHeldMessage(result.issues)}`,
+            });
+            continue;
+          }
+
+          if (result.scheduled) {
+            results.push({
+              orderId: id,
+              success: true,
+              message: `Scheduled for delivery on ${result.deliveryDate}`,
+            });
+            continue;
+          }
+
+          results.push({
+            orderId: id,
+            success: true,
+            message: result.alreadySent
+              ? `Already sent (${result.shipmentId})`
+              : `Sent (${result.shipmentId})`,
+          });
+        } catch (error) {
+          results.push({
+            orderId: id,
+            success: false,
+            message: error?.message || "Failed to send",
+          });
+        }
+      }
+
+      const sent = results.filter((r) => r.success).length;
+
+      return {
+        success: sent === orderIds.length,
+        message: `Sent ${sent} of ${orderIds.length} orders to Delifast`,
+        results,
+      };
+    }
+
+    if (actionType === "resend_order") {
+      const { fetchOrder } = await import("../services/shopifyOrders.server");
+      const order = await fetchOrder(admin, orderId);
+      const result = await sendOrderToDelifast(shop, order, admin, {
+        sendNow: formData.get("sendNow") === "true",
+      });
+
+      if (result.cancelled) {
+        return { success: false, message: `Not sent: ${result.message}` };
+      }
+
+      if (result.held) {
+        return { success: false, message: `Still held: ${getHeldMessage(result.issues)}` };
+      }
+
+      if (result.scheduled) {
+        return { success: true, message: `Scheduled for delivery on ${result.deliveryDate}` };
+      }
+
+      return { success: true, message: `Order sent (${result.shipmentId})` };
+    }
+
+    if (actionType === "preview_shipment") {
+      const { fetchOrder } = await import("../services/shopifyOrders.server");
+      const order = await fetchOrder(admin, orderId);
+      const preview = await previewShipment(shop, order, admin);
+
+      return { shipmentPreview: { ...preview, orderName: order.name } };
+    }
+
     if (actionType === "bulk_refresh") {
-      const orderIds = formData.get("orderIds")?.split(",") || [];
+      const orderIds = formData.get("orderIds")?.split(",").filter(Boolean) || [];
       let updated = 0;
+      const failures = [];
 
       for (const id of orderIds) {
         try {
-          await refreshOrderStatus(shop, id, admin);
-          updated++;
-        } catch {
-          // continue
+          const result = await refreshOrderStatus(shop, id, admin);
+          if (!result.notSent) updated++;
+        } catch (error) {
+          failures.push(`${id}: ${error?.message || "Refresh failed"}`);
         }
       }
 
       return {
-        success: true,
-        message: `Refreshed ${updated} of ${orderIds.length} shipments`,
+        success: failures.length === 0,
+        message: failures.length > 0
+          ? `Refreshed ${updated} of ${orderIds.length} shipments. Failed: ${failures.join("; ")}`
+          : `Refreshed ${updated} of ${orderIds.length} shipments`,
+      };
+    }
+
+    if (actionType === "repair_tags") {
+      const cursor = Number(formData.get("cursor")) || null;
+      const result = await repairStatusTags(shop, admin, cursor);
+      const failedText = result.failed > 0 ? `, ${result.failed} failed` : "";
+      return {
+        success: result.failed === 0,
+        tagRepairCursor: result.cursor,
+        message: result.remaining > 0
+          ? `Repaired tags on ${result.repaired} orders${failedText}. ${result.remaining} left - click Continue Tag Repair`
+          : `Repaired tags on ${result.repaired} orders${failedText}. Tag repair finished`,
       };
     }
 
@@ -128,26 +306,127 @@ export const action = async ({ request }) => {
   }
 };
 
+/**
+ * Summarize the blocking issues of a held order
+ */
+function getHeldMessage(issues) {
+  return (issues || [])
+    .filter((issue) => issue.severity === "error")
+    .map((issue) => issue.message)
+    .join("; ");
+}
+
+/**
+ * Summarize the line items left out of a shipment (stored as JSON)
+ */
+const EXCLUSION_LABELS = {
+  gift_card: "gift card",
+  tip: "tip",
+  not_shippable: "no shipping required",
+};
+
+function getExcludedMessage(value) {
+  let items = [];
+  try {
+    items = value ? JSON.parse(value) : [];
+  } catch {
+    return "";
+  }
+
+  return items
+    .map((item) => `${item.name} x${item.quantity} (${EXCLUSION_LABELS[item.reason] || item.reason})`)
+    .join(", ");
+}
+
+/**
+ * Label/value rows describing a payment calculation
+ */
+function getPaymentRows(payment) {
+  const money = (amount) =>
+    typeof amount === "number" ? amount.toFixed(2) : "-";
+  const yesNo = (value) => (value ? "Yes" : "No");
+
+  const rows = [
+    ["Payment type", payment.paymentType === "cod" ? "COD" : "Prepaid"],
+    ["Classified by", payment.classifiedBy === "rule" ? "Gateway rule" : "Fallback guess"],
+    ["Gateways", payment.gateways.join(", ") || "-"],
+    ["Order total", `${money(payment.orderTotal)} AED`],
+    ["Already paid", `${money(payment.amountPaid)} AED`],
+    ["Outstanding", `${money(payment.outstanding)} AED`],
+  ];
+
+  if (payment.currency !== "AED") {
+    rows.push([
+      `Exchange rate from ${payment.currency}`,
+      payment.exchangeRate ? `${payment.exchangeRate} (${payment.rateSource})` : "None",
+    ]);
+  }
+
+  if (payment.codAdjustment) {
+    rows.push(["COD rules adjustment", money(payment.codAdjustment)]);
+  }
+
+  rows.push(
+    ["COD amount", `${money(payment.codAmount)} AED`],
+    ["Fees on sender", yesNo(payment.shippingFeesOnSender)],
+    ["Fees paid", yesNo(payment.shippingFeesPaid)]
+  );
+
+  return rows;
+}
+
 // --------------------
 // CLIENT: component
 // --------------------
 export default function Orders() {
-  const { shipments, total, page, totalPages, statusCounts, currentStatus } =
-    useLoaderData();
+  const {
+    view,
+    awaitingOrders,
+    awaitingError,
+    shipments,
+    total,
+    page,
+    totalPages,
+    statusCounts,
+    currentStatus,
+    dryRun,
+  } = useLoaderData();
 
   const fetcher = useFetcher();
+  const previewFetcher = useFetcher();
   const shopify = useAppBridge();
 
   const [selectedOrders, setSelectedOrders] = useState([]);
+  const [selectedToSend, setSelectedToSend] = useState([]);
   const [updateIdModal, setUpdateIdModal] = useState(null);
+  const [cancelModal, setCancelModal] = useState(null);
+  const [previewOpen, setPreviewOpen] = useState(false);
 
   const isLoading = fetcher.state !== "idle";
   const actionData = fetcher.data;
 
+  // Per-order results of the last bulk send
+  const sendResults = new Map(
+    (actionData?.results || []).map((result) => [result.orderId, result])
+  );
+  const sendableOrders = awaitingOrders.filter((order) => !order.shipmentId);
+  const shipmentPreview = previewFetcher.data?.shipmentPreview;
+  // Held, scheduled and failed orders have no Delifast shipment to refresh
+  const refreshableShipments = shipments.filter((shipment) => shipment.shipmentId);
+  // Set while a tag repair has batches left
+  const [tagRepairCursor, setTagRepairCursor] = useState(null);
+
   useEffect(() => {
+    if (actionData?.results) {
+      setSelectedToSend([]);
+    }
+    if (actionData && "tagRepairCursor" in actionData) {
+      setTagRepairCursor(actionData.tagRepairCursor);
+    }
     if (actionData?.success) {
       shopify.toast.show(actionData.message);
       setUpdateIdModal(null);
+      setCancelModal(null);
     } else if (actionData?.success === false) {
       shopify.toast.show(actionData.message, { isError: true });
     }
@@ -160,6 +439,14 @@ export default function Orders() {
     fetcher.submit(form, { method: "POST" });
   };
 
+  const handleResend = (orderId, sendNow = false) => {
+    const form = new FormData();
+    form.set("_action", "resend_order");
+    form.set("orderId", orderId);
+    if (sendNow) form.set("sendNow", "true");
+    fetcher.submit(form, { method: "POST" });
+  };
+
   const handleBulkRefresh = () => {
     if (selectedOrders.length === 0) return;
     const form = new FormData();
@@ -168,6 +455,20 @@ export default function Orders() {
     fetcher.submit(form, { method: "POST" });
   };
 
+  const handleSendSelected = () => {
+    if (selectedToSend.length === 0) return;
+    const form = new FormData();
+    form.set("_action", "send_orders");
+    form.set("orderIds", selectedToSend.join(","));
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const toggleSendSelection = (orderId) => {
+    setSelectedToSend((prev) =>
+      prev.includes(orderId) ? prev.filter((id) => id !== orderId) : [...prev, orderId]
+    );
+  };
+
   const handleUpdateShipmentId = (orderId, newId) => {
     const form = new FormData();
     form.set("_action", "update_shipment_id");
@@ -176,6 +477,34 @@ export default function Orders() {
     fetcher.submit(form, { method: "POST" });
   };
 
+  const handleCancelShipment = (orderId, reason) => {
+    const form = new FormData();
+    form.set("_action", "cancel_shipment");
+    form.set("orderId", orderId);
+    if (reason) form.set("reason", reason);
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const handlePreview = (orderId) => {
+    const form = new FormData();
+    form.set("_action", "preview_shipment");
+    form.set("orderId", orderId);
+    previewFetcher.submit(form, { method: "POST" });
+    setPreviewOpen(true);
+  };
+
+  const handleRepairTags = () => {
+    if (
+      tagRepairCursor ||
+      confirm("Remove stale Delifast status tags from all orders sent to Delifast?")
+    ) {
+      const form = new FormData();
+      form.set("_action", "repair_tags");
+      if (tagRepairCursor) form.set("cursor", String(tagRepairCursor));
+      fetcher.submit(form, { method: "POST" });
+    }
+  };
+
   const toggleOrderSelection = (orderId) => {
     setSelectedOrders((prev) =>
       prev.includes(orderId) ? prev.filter((id) => id !== orderId) : [...prev, orderId]
@@ -190,19 +519,53 @@ export default function Orders() {
 
   return (
     <s-page heading="Delifast Orders">
+      {view === "awaiting" ? (
+        <s-button
+          slot="primary-action"
+          onClick={handleSendSelected}
+          disabled={selectedToSend.length === 0 || isLoading}
+        >
+          Send Selected ({selectedToSend.length})
+        </s-button>
+      ) : (
+        <s-button
+          slot="primary-action"
+          onClick={handleBulkRefresh}
+          disabled={selectedOrders.length === 0 || isLoading}
+        >
+          Refresh Selected ({selectedOrders.length})
+        </s-button>
+      )}
+
       <s-button
-        slot="primary-action"
-        onClick={handleBulkRefresh}
-        disabled={selectedOrders.length === 0 || isLoading}
+        slot="secondary-actions"
+        onClick={handleRepairTags}
+        disabled={isLoading}
       >
-        Refresh Selected ({selectedOrders.length})
+        {tagRepairCursor ? "Continue Tag Repair" : "Repair Tags"}
       </s-button>
 
+      {dryRun && (
+        <s-banner tone="warning">
+          <s-text>
+            Dry run is on: auto-sends are only logged (see Activity Logs) and
+            scheduled orders are kept until it is turned off. Manual sends from
+            this page are still sent.
+          </s-text>
+        </s-banner>
+      )}
+
       {/* Status Filters */}
       <s-section>
         <s-stack direction="inline" gap="tight">
+          <s-link href="/app/orders?view=awaiting">
+            <s-badge tone={view === "awaiting" ? "info" : undefined}>
+              Awaiting shipment
+            </s-badge>
+          </s-link>
+
           <s-link href="/app/orders">
-            <s-badge tone={!currentStatus ? "info" : undefined}>
+            <s-badge tone={!view && !currentStatus ? "info" : undefined}>
               All ({statusCounts.all})
             </s-badge>
           </s-link>
@@ -225,6 +588,18 @@ export default function Orders() {
             </s-badge>
           </s-link>
 
+          <s-link href="/app/orders?status=scheduled">
+            <s-badge tone={currentStatus === "scheduled" ? "info" : undefined}>
+              Scheduled ({statusCounts.scheduled})
+            </s-badge>
+          </s-link>
+
+          <s-link href="/app/orders?status=held">
+            <s-badge tone={currentStatus === "held" ? "info" : undefined}>
+              Held ({statusCounts.held})
+            </s-badge>
+          </s-link>
+
           <s-link href="/app/orders?status=error">
             <s-badge tone={currentStatus === "error" ? "info" : undefined}>
               Error ({statusCounts.error})
@@ -233,147 +608,495 @@ export default function Orders() {
         </s-stack>
       </s-section>
 
-      {/* Orders Table */}
-      <s-section>
-        {shipments.length === 0 ? (
-          <s-empty-state heading="No shipments found">
-            <s-paragraph>
-              No orders have been sent to Delifast yet. Orders will appear here once
-              they are sent either automatically (if auto mode is enabled) or manually.
-            </s-paragraph>
-            <s-link href="/app/settings">
-              <s-button>Configure Settings</s-button>
-            </s-link>
-          </s-empty-state>
-        ) : (
-          <s-box>
-            <table style={{ width: "100%", borderCollapse: "collapse" }}>
-              <thead>
-                <tr style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
-                  <th style={{ padding: "12px", textAlign: "left" }}>
-                    <input
-                      type="checkbox"
-                      onChange={(e) => {
-                        if (e.target.checked) {
-                          setSelectedOrders(shipments.map((s) => s.shopifyOrderId));
-                        } else {
-                          setSelectedOrders([]);
+      {/* Awaiting Shipment Table */}
+      {view === "awaiting" && (
+        <s-section heading="Awaiting shipment">
+          {awaitingError ? (
+            <s-banner tone="critical">
+              <s-text>{awaitingError}</s-text>
+            </s-banner>
+          ) : awaitingOrders.length === 0 ? (
+            <s-empty-state heading="No unfulfilled orders">
+              <s-paragraph>
+                Open, unfulfilled Shopify orders will appear here so they can be
+                sent to Delifast.
+              </s-paragraph>
+            </s-empty-state>
+          ) : (
+            <s-box>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                    <th style={{ padding: "12px", textAlign: "left" }}>
+                      <input
+                        type="checkbox"
+                        onChange={(e) => {
+                          if (e.target.checked) {
+                            setSelectedToSend(sendableOrders.map((o) => o.id));
+                          } else {
+                            setSelectedToSend([]);
+                          }
+                        }}
+                        checked={
+                          selectedToSend.length === sendableOrders.length &&
+                          sendableOrders.length > 0
                         }
-                      }}
-                      checked={selectedOrders.length === shipments.length && shipments.length > 0}
-                    />
-                  </th>
-                  <th style={{ padding: "12px", textAlign: "left" }}>Order</th>
-                  <th style={{ padding: "12px", textAlign: "left" }}>Shipment ID</th>
-                  <th style={{ padding: "12px", textAlign: "left" }}>Status</th>
-                  <th style={{ padding: "12px", textAlign: "left" }}>Sent</th>
-                  <th style={{ padding: "12px", textAlign: "left" }}>Actions</th>
-                </tr>
-              </thead>
-
-              <tbody>
-                {shipments.map((shipment) => (
-                  <tr
-                    key={shipment.id}
-                    style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}
-                  >
-                    <td style={{ padding: "12px" }}>
+                      />
+                    </th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Order</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Customer</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Total</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Delifast</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Created</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Actions</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {awaitingOrders.map((order) => {
+                    const result = sendResults.get(order.id);
+                    return (
+                      <tr
+                        key={order.id}
+                        style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}
+                      >
+                        <td style={{ padding: "12px", verticalAlign: "top" }}>
+                          <input
+                            type="checkbox"
+                            disabled={!!order.shipmentId}
+                            checked={selectedToSend.includes(order.id)}
+                            onChange={() => toggleSendSelection(order.id)}
+                          />
+                        </td>
+
+                        <td style={{ padding: "12px", verticalAlign: "top" }}>
+                          <s-text fontWeight="semibold">{order.name}</s-text>
+                        </td>
+
+                        <td style={{ padding: "12px", verticalAlign: "top" }}>
+                          <s-text>{order.customerName || "-"}</s-text>
+                          {order.city && (
+                            <s-text
+                              variant="subdued"
+                              style={{ display: "block", fontSize: "12px" }}
+                            >
+                              {order.city}
+                            </s-text>
+                          )}
+                        </td>
+
+                        <td style={{ padding: "12px", verticalAlign: "top" }}>
+                          <s-text>{order.totalPrice}</s-text>
+                          <s-text
+                            variant="subdued"
+                            style={{ display: "block", fontSize: "12px" }}
+                          >
+                            {order.financialStatus}
+                          </s-text>
+                        </td>
+
+                        <td style={{ padding: "12px", verticalAlign: "top" }}>
+                          {order.shipmentId ? (
+                            <s-badge tone="success">Sent ({order.shipmentId})</s-badge>
+                          ) : order.shipmentStatus === "error" ? (
+                            <s-badge tone="critical">Failed</s-badge>
+                          ) : (
+                            <s-badge>Never sent</s-badge>
+                          )}
+                          {!order.shipmentId && order.statusDetails && (
+                            <s-text
+                              variant="subdued"
+                              style={{ display: "block", fontSize: "12px" }}
+                            >
+                              {order.statusDetails}
+                            </s-text>
+                          )}
+                          {result && (
+                            <s-text
+                              tone={result.success ? "success" : "critical"}
+                              style={{ display: "block", fontSize: "12px" }}
+                            >
+                              {result.message}
+                            </s-text>
+                          )}
+                        </td>
+
+                        <td style={{ padding: "12px", verticalAlign: "top" }}>
+                          <s-text variant="subdued">
+                            {new Date(order.createdAt).toLocaleDateString()}
+                          </s-text>
+                        </td>
+
+                        <td style={{ padding: "12px", verticalAlign: "top" }}>
+                          <s-button
+                            variant="plain"
+                            size="slim"
+                            onClick={() => handlePreview(order.id)}
+                            disabled={previewFetcher.state !== "idle"}
+                          >
+                            Preview
+                          </s-button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </s-box>
+          )}
+        </s-section>
+      )}
+
+      {/* Orders Table */}
+      {view !== "awaiting" && (
+        <s-section>
+          {shipments.length === 0 ? (
+            <s-empty-state heading="No shipments found">
+              <s-paragraph>
+                No orders have been sent to Delifast yet. Orders will appear here once
+                they are sent either automatically (if auto mode is enabled) or manually.
+              </s-paragraph>
+              <s-link href="/app/settings">
+                <s-button>Configure Settings</s-button>
+              </s-link>
+            </s-empty-state>
+          ) : (
+            <s-box>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                    <th style={{ padding: "12px", textAlign: "left" }}>
                       <input
                         type="checkbox"
-                        checked={selectedOrders.includes(shipment.shopifyOrderId)}
-                        onChange={() => toggleOrderSelection(shipment.shopifyOrderId)}
+                        onChange={(e) => {
+                          if (e.target.checked) {
+                            setSelectedOrders(refreshableShipments.map((s) => s.shopifyOrderId));
+                          } else {
+                            setSelectedOrders([]);
+                          }
+                        }}
+                        checked={
+                          selectedOrders.length === refreshableShipments.length &&
+                          refreshableShipments.length > 0
+                        }
                       />
-                    </td>
+                    </th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Order</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Shipment ID</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Status</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>COD</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Sent</th>
+                    <th style={{ padding: "12px", textAlign: "left" }}>Actions</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {shipments.map((shipment) => (
+                    <tr
+                      key={shipment.id}
+                      style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}
+                    >
+                      <td style={{ padding: "12px" }}>
+                        <input
+                          type="checkbox"
+                          disabled={!shipment.shipmentId}
+                          checked={selectedOrders.includes(shipment.shopifyOrderId)}
+                          onChange={() => toggleOrderSelection(shipment.shopifyOrderId)}
+                        />
+                      </td>
 
-                    <td style={{ padding: "12px" }}>
-                      <s-text fontWeight="semibold">#{shipment.shopifyOrderNumber}</s-text>
-                    </td>
+                      <td style={{ padding: "12px" }}>
+                        <s-text fontWeight="semibold">#{shipment.shopifyOrderNumber}</s-text>
+                      </td>
 
-                    <td style={{ padding: "12px" }}>
-                      {shipment.isTemporaryId ? (
-                        <s-stack direction="inline" gap="tight" align="center">
-                          <s-text variant="subdued">{shipment.shipmentId}</s-text>
+                      <td style={{ padding: "12px" }}>
+                        {shipment.isTemporaryId ? (
+                          <s-stack direction="inline" gap="tight" align="center">
+                            <s-text variant="subdued">{shipment.shipmentId}</s-text>
+                            <s-button
+                              variant="plain"
+                              size="slim"
+                              onClick={() => setUpdateIdModal(shipment)}
+                            >
+                              Update ID
+                            </s-button>
+                          </s-stack>
+                        ) : (
+                          <s-text>{shipment.shipmentId || "-"}</s-text>
+                        )}
+                      </td>
+
+                      <td style={{ padding: "12px" }}>
+                        {getStatusBadge(shipment.status)}
+                        {shipment.statusDetails && shipment.status !== "held" && (
+                          <s-text
+                            variant="subdued"
+                            style={{ display: "block", fontSize: "12px" }}
+                          >
+                            {shipment.statusDetails}
+                          </s-text>
+                        )}
+                        {parseIssues(shipment.validationIssues).map((issue, index) => (
+                          <s-text
+                            key={index}
+                            tone={issue.severity === "error" ? "critical" : "caution"}
+                            style={{ display: "block", fontSize: "12px" }}
+                          >
+                            {issue.severity === "error" ? "Error" : "Warning"}: {issue.message}
+                          </s-text>
+                        ))}
+                        {shipment.excludedItems && (
+                          <s-text
+                            variant="subdued"
+                            style={{ display: "block", fontSize: "12px" }}
+                          >
+                            Not shipped: {getExcludedMessage(shipment.excludedItems)}
+                          </s-text>
+                        )}
+                        {shipment.deliveryDate && shipment.status !== "scheduled" && (
+                          <s-text
+                            variant="subdued"
+                            style={{ display: "block", fontSize: "12px" }}
+                          >
+                            Delivery: {shipment.deliveryDate}
+                            {shipment.deliverySlot ? `, ${shipment.deliverySlot}` : ""}
+                          </s-text>
+                        )}
+                        {shipment.status === "scheduled" && shipment.deliverySlot && (
+                          <s-text
+                            variant="subdued"
+                            style={{ display: "block", fontSize: "12px" }}
+                          >
+                            Time slot: {shipment.deliverySlot}
+                          </s-text>
+                        )}
+                      </td>
+
+                      <td style={{ padding: "12px" }}>
+                        {typeof shipment.codAmount !== "number" ? (
+                          <s-text variant="subdued">-</s-text>
+                        ) : (
+                          <>
+                            <s-text>{shipment.codAmount.toFixed(2)} AED</s-text>
+                            {shipment.codAdjustment ? (
+                              <s-text
+                                variant="subdued"
+                                style={{ display: "block", fontSize: "12px" }}
+                              >
+                                incl. {shipment.codAdjustment.toFixed(2)} COD rules
+                              </s-text>
+                            ) : null}
+                            {shipment.currency && shipment.currency !== "AED" && (
+                              <s-text
+                                variant="subdued"
+                                style={{ display: "block", fontSize: "12px" }}
+                              >
+                                from {shipment.originalCodAmount?.toFixed(2)}{" "}
+                                {shipment.currency} at {shipment.exchangeRate}
+                              </s-text>
+                            )}
+                            {shipment.amountPaid > 0 && (
+                              <s-text
+                                variant="subdued"
+                                style={{ display: "block", fontSize: "12px" }}
+                              >
+                                {shipment.amountPaid.toFixed(2)} of{" "}
+                                {shipment.orderTotal.toFixed(2)} already paid
+                              </s-text>
+                            )}
+                          </>
+                        )}
+                      </td>
+
+                      <td style={{ padding: "12px" }}>
+                        <s-text variant="subdued">
+                          {new Date(shipment.sentAt).toLocaleDateString()}
+                        </s-text>
+                      </td>
+
+                      <td style={{ padding: "12px" }}>
+                        {shipment.shipmentId ? (
                           <s-button
                             variant="plain"
                             size="slim"
-                            onClick={() => setUpdateIdModal(shipment)}
+                            onClick={() => handleRefreshStatus(shipment.shopifyOrderId)}
+                            disabled={isLoading || shipment.isTemporaryId}
                           >
-                            Update ID
+                            Refresh
                           </s-button>
-                        </s-stack>
-                      ) : (
-                        <s-text>{shipment.shipmentId || "-"}</s-text>
-                      )}
-                    </td>
-
-                    <td style={{ padding: "12px" }}>
-                      {getStatusBadge(shipment.status)}
-                      {shipment.statusDetails && (
-                        <s-text
-                          variant="subdued"
-                          style={{ display: "block", fontSize: "12px" }}
+                        ) : (
+                          <>
+                            <s-link
+                              href={`shopify:admin/orders/${shipment.shopifyOrderId}`}
+                              target="_blank"
+                            >
+                              Edit order
+                            </s-link>
+                            {shipment.status === "cancelled" ? null : shipment.status === "scheduled" ? (
+                              <s-button
+                                variant="plain"
+                                size="slim"
+                                onClick={() => handleResend(shipment.shopifyOrderId, true)}
+                                disabled={isLoading}
+                              >
+                                Send now
+                              </s-button>
+                            ) : (
+                              <s-button
+                                variant="plain"
+                                size="slim"
+                                onClick={() => handleResend(shipment.shopifyOrderId)}
+                                disabled={isLoading}
+                              >
+                                Resend
+                              </s-button>
+                            )}
+                          </>
+                        )}
+                        <s-button
+                          variant="plain"
+                          size="slim"
+                          onClick={() => handlePreview(shipment.shopifyOrderId)}
+                          disabled={previewFetcher.state !== "idle"}
                         >
-                          {shipment.statusDetails}
-                        </s-text>
-                      )}
-                    </td>
-
-                    <td style={{ padding: "12px" }}>
-                      <s-text variant="subdued">
-                        {new Date(shipment.sentAt).toLocaleDateString()}
-                      </s-text>
-                    </td>
-
-                    <td style={{ padding: "12px" }}>
-                      <s-button
-                        variant="plain"
-                        size="slim"
-                        onClick={() => handleRefreshStatus(shipment.shopifyOrderId)}
-                        disabled={isLoading || shipment.isTemporaryId}
-                      >
-                        Refresh
-                      </s-button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-
-            {/* Pagination */}
-            {totalPages > 1 && (
-              <s-stack
-                direction="inline"
-                gap="tight"
-                style={{ padding: "16px", justifyContent: "center" }}
-              >
-                {page > 1 && (
-                  <s-link
-                    href={`/app/orders?page=${page - 1}${
-                      currentStatus ? `&status=${currentStatus}` : ""
-                    }`}
-                  >
-                    <s-button variant="plain">Previous</s-button>
-                  </s-link>
-                )}
-
-                <s-text>
-                  Page {page} of {totalPages}
-                </s-text>
-
-                {page < totalPages && (
-                  <s-link
-                    href={`/app/orders?page=${page + 1}${
-                      currentStatus ? `&status=${currentStatus}` : ""
-                    }`}
+                          Preview
+                        </s-button>
+                        {isCancellableStatus(shipment.status) &&
+                          !isTemporaryId(shipment.shipmentId) && (
+                            <s-button
+                              variant="plain"
+                              tone="critical"
+                              size="slim"
+                              onClick={() => setCancelModal(shipment)}
+                              disabled={isLoading}
+                            >
+                              Cancel shipment
+                            </s-button>
+                          )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {/* Pagination */}
+              {totalPages > 1 && (
+                <s-stack
+                  direction="inline"
+                  gap="tight"
+                  style={{ padding: "16px", justifyContent: "center" }}
+                >
+                  {page > 1 && (
+                    <s-link
+                      href={`/app/orders?page=${page - 1}${
+                        currentStatus ? `&status=${currentStatus}` : ""
+                      }`}
+                    >
+                      <s-button variant="plain">Previous</s-button>
+                    </s-link>
+                  )}
+
+                  <s-text>
+                    Page {page} of {totalPages}
+                  </s-text>
+
+                  {page < totalPages && (
+                    <s-link
+                      href={`/app/orders?page=${page + 1}${
+                        currentStatus ? `&status=${currentStatus}` : ""
+                      }`}
+                    >
+                      <s-button variant="plain">Next</s-button>
+                    </s-link>
+                  )}
+                </s-stack>
+              )}
+            </s-box>
+          )}
+        </s-section>
+      )}
+
+      {/* Shipment Preview */}
+      {previewOpen && (
+        <s-modal
+          open
+          heading={
+            shipmentPreview
+              ? `Shipment preview for ${shipmentPreview.orderName}`
+              : "Shipment preview"
+          }
+          onClose={() => setPreviewOpen(false)}
+        >
+          <s-section>
+            {previewFetcher.state !== "idle" ? (
+              <s-text variant="subdued">Preparing shipment...</s-text>
+            ) : previewFetcher.data?.success === false ? (
+              <s-banner tone="critical">
+                <s-text>{previewFetcher.data.message}</s-text>
+              </s-banner>
+            ) : shipmentPreview ? (
+              <s-stack direction="block" gap="base">
+                <s-paragraph>
+                  Nothing has been sent. This is what Delifast would receive.
+                </s-paragraph>
+                <s-stack direction="inline" gap="tight">
+                  {shipmentPreview.wouldHold ? (
+                    <s-badge tone="critical">Would be held</s-badge>
+                  ) : shipmentPreview.wouldSchedule ? (
+                    <s-badge tone="info">
+                      Would be scheduled ({shipmentPreview.schedule.sendOn})
+                    </s-badge>
+                  ) : (
+                    <s-badge tone="success">Would be sent</s-badge>
+                  )}
+                  <s-text>
+                    City: {shipmentPreview.cityName} (
+                    {shipmentPreview.orderData.billing_city})
+                  </s-text>
+                </s-stack>
+
+                {shipmentPreview.issues.map((issue, index) => (
+                  <s-text
+                    key={index}
+                    tone={issue.severity === "error" ? "critical" : "caution"}
+                    style={{ display: "block", fontSize: "12px" }}
                   >
-                    <s-button variant="plain">Next</s-button>
-                  </s-link>
-                )}
+                    {issue.severity === "error" ? "Error" : "Warning"}: {issue.message}
+                  </s-text>
+                ))}
+
+                <s-text fontWeight="semibold">Payment</s-text>
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <tbody>
+                    {getPaymentRows(shipmentPreview.payment).map(([label, value]) => (
+                      <tr
+                        key={label}
+                        style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}
+                      >
+                        <td style={{ padding: "4px 8px" }}>
+                          <s-text variant="subdued">{label}</s-text>
+                        </td>
+                        <td style={{ padding: "4px 8px" }}>
+                          <s-text>{value}</s-text>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <s-text fontWeight="semibold">Payload</s-text>
+                <pre style={{ fontSize: "12px", whiteSpace: "pre-wrap" }}>
+                  {JSON.stringify(shipmentPreview.orderData, null, 2)}
+                </pre>
               </s-stack>
-            )}
-          </s-box>
-        )}
-      </s-section>
+            ) : null}
+          </s-section>
+
+          <s-button slot="secondary-action" variant="plain" onClick={() => setPreviewOpen(false)}>
+            Close
+          </s-button>
+        </s-modal>
+      )}
 
       {/* Update Shipment ID Modal */}
       {updateIdModal && (
@@ -409,6 +1132,43 @@ export default function Orders() {
         </s-modal>
       )}
 
+      {/* Cancel Shipment Confirmation */}
+      {cancelModal && (
+        <s-modal
+          open
+          heading={`Cancel shipment for Order #${cancelModal.shopifyOrderNumber}?`}
+          onClose={() => setCancelModal(null)}
+        >
+          <s-section>
+            <s-paragraph>
+              Delifast shipment {cancelModal.shipmentId} will be cancelled. This cannot
+              be undone. Shipments already picked up by a driver cannot be cancelled.
+            </s-paragraph>
+            <s-text-field
+              label="Reason (optional)"
+              id="cancelReason"
+              placeholder="Cancelled by merchant"
+            />
+          </s-section>
+
+          <s-button
+            slot="primary-action"
+            tone="critical"
+            loading={isLoading}
+            onClick={() => {
+              const input = document.getElementById("cancelReason");
+              handleCancelShipment(cancelModal.shopifyOrderId, input?.value);
+            }}
+          >
+            Cancel shipment
+          </s-button>
+
+          <s-button slot="secondary-action" variant="plain" onClick={() => setCancelModal(null)}>
+            Keep shipment
+          </s-button>
+        </s-modal>
+      )}
+
       <s-section slot="aside" heading="Summary">
         <s-stack direction="block" gap="tight">
           <s-stack direction="inline" gap="base" align="space-between">
@@ -0,0 +1,268 @@
+/**
+ * Webhook Queue Page
+ * Inspect queued order webhooks and retry dead-lettered jobs
+ */
+
+import { useEffect } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getWebhookJobs, retryWebhookJob, requeueDeadJobs } from "../services/webhookQueue.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const url = new URL(request.url);
+  const status = url.searchParams.get('status');
+  const page = parseInt(url.searchParams.get('page') || '1');
+  const limit = 50;
+  const offset = (page - 1) * limit;
+
+  const { jobs, total } = await getWebhookJobs(shop, { status, limit, offset });
+
+  const [pendingCount, processingCount, completedCount, deadCount] = await Promise.all([
+    prisma.webhookJob.count({ where: { shop, status: 'pending' } }),
+    prisma.webhookJob.count({ where: { shop, status: 'processing' } }),
+    prisma.webhookJob.count({ where: { shop, status: 'completed' } }),
+    prisma.webhookJob.count({ where: { shop, status: 'dead' } }),
+  ]);
+
+  return {
+    jobs: jobs.map(({ payload, ...job }) => {
+      let orderNumber = null;
+      try {
+        orderNumber = JSON.parse(payload)?.name || null;
+      } catch {
+        // ignore unreadable payloads
+      }
+      return { ...job, orderNumber };
+    }),
+    total,
+    page,
+    totalPages: Math.ceil(total / limit),
+    statusCounts: {
+      all: pendingCount + processingCount + completedCount + deadCount,
+      pending: pendingCount,
+      processing: processingCount,
+      completed: completedCount,
+      dead: deadCount,
+    },
+    currentStatus: status,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const formData = await request.formData();
+  const actionType = formData.get('_action');
+
+  try {
+    if (actionType === 'retry_job') {
+      const jobId = parseInt(formData.get('jobId'));
+      const succeeded = await retryWebhookJob(shop, jobId);
+      return succeeded
+        ? { success: true, message: 'Job processed successfully' }
+        : { success: false, message: 'Job failed again, see the error in the queue' };
+    }
+
+    if (actionType === 'retry_dead') {
+      const count = await requeueDeadJobs(shop);
+      return {
+        success: true,
+        message: `Requeued ${count} jobs, they will be processed within a minute`,
+      };
+    }
+
+    return { success: false, message: 'Unknown action' };
+  } catch (error) {
+    return { success: false, message: error?.message || 'Something went wrong' };
+  }
+};
+
+export default function Queue() {
+  const { jobs, page, totalPages, statusCounts, currentStatus } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const isLoading = fetcher.state !== 'idle';
+  const actionData = fetcher.data;
+
+  useEffect(() => {
+    if (actionData?.success) {
+      shopify.toast.show(actionData.message);
+    } else if (actionData?.success === false) {
+      shopify.toast.show(actionData.message, { isError: true });
+    }
+  }, [actionData, shopify]);
+
+  const handleRetry = (jobId) => {
+    const form = new FormData();
+    form.set('_action', 'retry_job');
+    form.set('jobId', String(jobId));
+    fetcher.submit(form, { method: 'POST' });
+  };
+
+  const handleRetryDead = () => {
+    const form = new FormData();
+    form.set('_action', 'retry_dead');
+    fetcher.submit(form, { method: 'POST' });
+  };
+
+  const getStatusBadge = (status) => {
+    const tones = {
+      pending: 'info',
+      processing: 'warning',
+      completed: 'success',
+      dead: 'critical',
+    };
+    return <s-badge tone={tones[status] || 'info'}>{status}</s-badge>;
+  };
+
+  return (
+    <s-page heading="Webhook Queue">
+      <s-button
+        slot="primary-action"
+        onClick={handleRetryDead}
+        disabled={statusCounts.dead === 0 || isLoading}
+      >
+        Retry All Dead ({statusCounts.dead})
+      </s-button>
+
+      {/* Status Filters */}
+      <s-section>
+        <s-stack direction="inline" gap="tight">
+          <s-link href="/app/queue">
+            <s-badge tone={!currentStatus ? 'info' : undefined}>All ({statusCounts.all})</s-badge>
+          </s-link>
+          <s-link href="/app/queue?status=pending">
+            <s-badge tone={currentStatus === 'pending' ? 'info' : undefined}>Pending ({statusCounts.pending})</s-badge>
+          </s-link>
+          <s-link href="/app/queue?status=processing">
+            <s-badge tone={currentStatus === 'processing' ? 'warning' : undefined}>Processing ({statusCounts.processing})</s-badge>
+          </s-link>
+          <s-link href="/app/queue?status=completed">
+            <s-badge tone={currentStatus === 'completed' ? 'success' : undefined}>Completed ({statusCounts.completed})</s-badge>
+          </s-link>
+          <s-link href="/app/queue?status=dead">
+            <s-badge tone={currentStatus === 'dead' ? 'critical' : undefined}>Dead ({statusCounts.dead})</s-badge>
+          </s-link>
+        </s-stack>
+      </s-section>
+
+      {/* Jobs Table */}
+      <s-section>
+        {jobs.length === 0 ? (
+          <s-empty-state heading="No webhook jobs">
+            <s-paragraph>
+              Order webhooks received from Shopify are queued here and processed in the background.
+            </s-paragraph>
+          </s-empty-state>
+        ) : (
+          <s-box>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '1px solid var(--p-color-border-subdued)' }}>
+                  <th style={{ padding: '12px', textAlign: 'left' }}>Received</th>
+                  <th style={{ padding: '12px', textAlign: 'left' }}>Topic</th>
+                  <th style={{ padding: '12px', textAlign: 'left' }}>Order</th>
+                  <th style={{ padding: '12px', textAlign: 'left' }}>Status</th>
+                  <th style={{ padding: '12px', textAlign: 'left' }}>Attempts</th>
+                  <th style={{ padding: '12px', textAlign: 'left' }}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map(job => (
+                  <tr key={job.id} style={{ borderBottom: '1px solid var(--p-color-border-subdued)' }}>
+                    <td style={{ padding: '12px', verticalAlign: 'top' }}>
+                      <s-text variant="subdued" style={{ fontSize: '12px' }}>
+                        {new Date(job.createdAt).toLocaleString()}
+                      </s-text>
+                    </td>
+                    <td style={{ padding: '12px', verticalAlign: 'top' }}>
+                      <s-text>{job.topic}</s-text>
+                    </td>
+                    <td style={{ padding: '12px', verticalAlign: 'top' }}>
+                      <s-text fontWeight="semibold">{job.orderNumber || job.orderId || '-'}</s-text>
+                    </td>
+                    <td style={{ padding: '12px', verticalAlign: 'top' }}>
+                      {getStatusBadge(job.status)}
+                      {job.lastError && (
+                        <s-text variant="subdued" style={{ display: 'block', fontSize: '12px' }}>
+                          {job.lastError}
+                        </s-text>
+                      )}
+                      {job.status === 'pending' && job.attempts > 0 && (
+                        <s-text variant="subdued" style={{ display: 'block', fontSize: '12px' }}>
+                          Next attempt: {new Date(job.nextRunAt).toLocaleString()}
+                        </s-text>
+                      )}
+                    </td>
+                    <td style={{ padding: '12px', verticalAlign: 'top' }}>
+                      <s-text>{job.attempts} / {job.maxAttempts}</s-text>
+                    </td>
+                    <td style={{ padding: '12px', verticalAlign: 'top' }}>
+                      {(job.status === 'dead' || job.status === 'pending') && (
+                        <s-button
+                          variant="plain"
+                          size="slim"
+                          onClick={() => handleRetry(job.id)}
+                          disabled={isLoading}
+                        >
+                          Retry now
+                        </s-button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <s-stack direction="inline" gap="tight" style={{ padding: '16px', justifyContent: 'center' }}>
+                {page > 1 && (
+                  <s-link href={`/app/queue?page=${page - 1}${currentStatus ? `&status=${currentStatus}` : ''}`}>
+                    <s-button variant="plain">Previous</s-button>
+                  </s-link>
+                )}
+                <s-text>Page {page} of {totalPages}</s-text>
+                {page < totalPages && (
+                  <s-link href={`/app/queue?page=${page + 1}${currentStatus ? `&status=${currentStatus}` : ''}`}>
+                    <s-button variant="plain">Next</s-button>
+                  </s-link>
+                )}
+              </s-stack>
+            )}
+          </s-box>
+        )}
+      </s-section>
+
+      <s-section slot="aside" heading="How it works">
+        <s-paragraph>
+          Webhooks are stored as soon as Shopify delivers them. Failed jobs are retried with
+          increasing delays; after the last attempt they are marked dead and can be retried here.
+        </s-paragraph>
+      </s-section>
+
+      <s-section slot="aside" heading="Quick Links">
+        <s-unordered-list>
+          <s-list-item>
+            <s-link href="/app/orders">Orders</s-link>
+          </s-list-item>
+          <s-list-item>
+            <s-link href="/app/logs">Activity Logs</s-link>
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -7,13 +7,36 @@ import { useState, useEffect } from "react";
 import { useLoaderData, useFetcher } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { getAvailableCities } from "../utils/cityMapping";
+import {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  parseRuleSet,
+  validateRuleSet,
+  evaluateRules,
+} from "../utils/autoSendRules";
+import {
+  DELIFAST_CURRENCY,
+  parseCurrencyRates,
+  parseCurrencyRateLines,
+  formatCurrencyRates,
+} from "../utils/currency";
+import { WEEKDAY_NAMES, parseBlockedWeekdays } from "../utils/deliverySchedule";
+import {
+  MAPPING_SOURCES,
+  MAPPING_TRANSFORMS,
+  NEW_FIELD_MAPPING,
+  parseFieldMappings,
+} from "../utils/fieldMapping";
 
 // ✅ SERVER-ONLY: keep it INSIDE loader/action (no top-level server imports)
 export const loader = async ({ request }) => {
   const { authenticate } = await import("../shopify.server");
   const prisma = (await import("../db.server")).default;
+  const { getMissingSenderFields } = await import("../services/orderMapper.server");
+  const { getCityCatalog, getCatalogSyncedAt } = await import("../services/catalog.server");
+  const { getGatewayRules } = await import("../services/paymentGateways.server");
 
-  const { session } = await authenticate.admin(request);
+  const { session, admin } = await authenticate.admin(request);
   const shop = session.shop;
 
   // Get or create store settings
@@ -30,13 +53,46 @@ export const loader = async ({ request }) => {
   // Don't send password to client, just indicate if it's set
   const hasPassword = !!settings.delifastPassword;
 
+  const [catalog, catalogSyncedAt, aliases, gatewayRules, shopCurrency] = await Promise.all([
+    getCityCatalog(),
+    getCatalogSyncedAt(),
+    prisma.areaAlias.findMany({ where: { shop }, orderBy: { alias: "asc" } }),
+    getGatewayRules(shop),
+    admin
+      .graphql(`#graphql
+        query getShopCurrency { shop { currencyCode } }`)
+      .then((response) => response.json())
+      .then((body) => body.data?.shop?.currencyCode || null)
+      .catch(() => null),
+  ]);
+
+  const areaNames = new Map(
+    catalog.flatMap((city) =>
+      city.areas.map((area) => [area.id, `${area.name} (${city.name})`])
+    )
+  );
+
   return {
     settings: {
       ...settings,
       delifastPassword: hasPassword ? "********" : "",
       hasPassword,
     },
-    cities: getAvailableCities(),
+    cities: getAvailableCities(catalog),
+    areasByCity: Object.fromEntries(catalog.map((city) => [city.id, city.areas])),
+    catalogSyncedAt,
+    aliases: aliases.map((alias) => ({
+      id: alias.id,
+      alias: alias.alias,
+      areaId: alias.areaId,
+      areaName: areaNames.get(alias.areaId) || `Area ${alias.areaId}`,
+    })),
+    rules: parseRuleSet(settings.autoSendRules),
+    fieldMappings: parseFieldMappings(settings.fieldMappings),
+    gatewayRules,
+    shopCurrency,
+    currencyRatesText: formatCurrencyRates(parseCurrencyRates(settings.currencyRates)),
+    missingSenderFields: getMissingSenderFields(settings),
   };
 };
 
@@ -54,6 +110,137 @@ export const action = async ({ request }) => {
   const formData = await request.formData();
   const actionType = formData.get("_action");
 
+  if (actionType === "preview_rules") {
+    const { fetchRecentOrders } = await import("../services/shopifyOrders.server");
+    const { admin } = await authenticate.admin(request);
+
+    try {
+      const { ruleSet: rules, errors } = validateRuleSet(formData.get("autoSendRules"));
+
+      if (errors.length > 0) {
+        return { previewError: errors.join("; ") };
+      }
+
+      const [orders, settings] = await Promise.all([
+        fetchRecentOrders(admin, { first: 20 }),
+        prisma.storeSettings.findUnique({ where: { shop }, select: { addressSource: true } }),
+      ]);
+
+      const preview = orders.map((order) => ({
+        id: order.id,
+        name: order.name,
+        totalPrice: order.total_price,
+        ...evaluateRules(rules, order, { addressSource: settings?.addressSource }),
+      }));
+
+      return { preview };
+    } catch (error) {
+      return { previewError: error?.message || "Failed to load recent orders" };
+    }
+  }
+
+  if (actionType === "preview_mapping") {
+    const { fetchRecentOrders } = await import("../services/shopifyOrders.server");
+    const { prepareShipmentData } = await import("../services/orderMapper.server");
+    const { admin } = await authenticate.admin(request);
+
+    try {
+      const orderName = String(formData.get("orderName") || "").trim().replace(/^#/, "");
+      const [order] = await fetchRecentOrders(admin, {
+        first: 1,
+        query: orderName ? `name:#${orderName}` : null,
+      });
+
+      if (!order) {
+        return { mappingPreviewError: orderName ? `Order #${orderName} not found` : "No orders yet" };
+      }
+
+      const mappings = parseFieldMappings(formData.get("fieldMappings"));
+      const { orderData, details } = await prepareShipmentData(shop, order, admin, {
+        fieldMappings: JSON.stringify(mappings),
+      }, { readOnly: true });
+
+      return {
+        mappingPreview: {
+          orderName: order.name,
+          orderData,
+          applied: details.mapping.applied,
+          errors: details.mapping.errors,
+        },
+      };
+    } catch (error) {
+      return { mappingPreviewError: error?.message || "Failed to build the preview" };
+    }
+  }
+
+  if (actionType === "sync_catalog") {
+    const { syncCatalog } = await import("../services/catalog.server");
+
+    try {
+      const result = await syncCatalog(shop);
+      return {
+        success: true,
+        message: `Synced ${result.cities} cities and ${result.areas} areas`,
+      };
+    } catch (error) {
+      return { success: false, message: error?.message || "Catalog sync failed" };
+    }
+  }
+
+  if (actionType === "add_alias") {
+    const alias = String(formData.get("alias") || "").trim();
+    const areaId = parseInt(formData.get("areaId"), 10);
+
+    if (!alias || isNaN(areaId)) {
+      return { success: false, message: "Enter the alias text and pick an area" };
+    }
+
+    const area = await prisma.delifastArea.findUnique({ where: { id: areaId } });
+    if (!area) {
+      return { success: false, message: "Area not found in the Delifast catalog" };
+    }
+
+    await prisma.areaAlias.upsert({
+      where: { shop_alias: { shop, alias } },
+      update: { areaId },
+      create: { shop, alias, areaId },
+    });
+
+    return { success: true, message: `Alias "${alias}" saved` };
+  }
+
+  if (actionType === "delete_alias") {
+    await prisma.areaAlias.deleteMany({
+      where: { id: parseInt(formData.get("aliasId"), 10), shop },
+    });
+    return { success: true, message: "Alias removed" };
+  }
+
+  if (actionType === "save_gateway") {
+    const { saveGatewayRule } = await import("../services/paymentGateways.server");
+
+    // "" = store default, "true" / "false" = override
+    const parseFee = (value) => (value === "true" ? true : value === "false" ? false : null);
+
+    try {
+      const rule = await saveGatewayRule(shop, formData.get("gateway"), {
+        paymentType: formData.get("paymentType") || "unclassified",
+        feesOnSender: parseFee(formData.get("feesOnSender")),
+        feesPaid: parseFee(formData.get("feesPaid")),
+      });
+      return { success: true, message: `Gateway "${rule.gateway}" saved` };
+    } catch (error) {
+      return { success: false, message: error?.message || "Failed to save gateway" };
+    }
+  }
+
+  if (actionType === "delete_gateway") {
+    const { deleteGatewayRule } = await import("../services/paymentGateways.server");
+
+    await deleteGatewayRule(shop, parseInt(formData.get("ruleId"), 10));
+    return { success: true, message: "Gateway removed" };
+  }
+
   if (actionType === "test_connection") {
     try {
       const result = await testConnection(shop);
@@ -79,6 +266,7 @@ export const action = async ({ request }) => {
     updates.delifastCustomerId = formData.get("delifastCustomerId") || null;
     updates.mode = formData.get("mode") || "manual";
     updates.autoSendStatus = formData.get("autoSendStatus") || "paid";
+    updates.dryRun = formData.get("dryRun") === "true";
   }
 
   if (tab === "sender") {
@@ -95,16 +283,52 @@ export const action = async ({ request }) => {
   }
 
   if (tab === "shipping") {
+    const { parseDimensions, formatDimensions } = await import("../utils/parcel");
+
     updates.defaultWeight = formData.get("defaultWeight")
       ? parseFloat(formData.get("defaultWeight"))
       : 1.0;
 
-    updates.defaultDimensions = formData.get("defaultDimensions") || "10x10x10";
+    if (!(updates.defaultWeight > 0)) {
+      return { success: false, message: "Default weight must be greater than 0" };
+    }
+
+    const dimensions = parseDimensions(formData.get("defaultDimensions") || "10x10x10");
+    if (!dimensions) {
+      return {
+        success: false,
+        message: "Default dimensions must be in LxWxH format with positive numbers (e.g., 30x20x10)",
+      };
+    }
+    updates.defaultDimensions = formatDimensions(dimensions);
 
     updates.defaultCityId = formData.get("defaultCityId")
       ? parseInt(formData.get("defaultCityId"), 10)
       : 5;
 
+    updates.addressSource = formData.get("addressSource") || "shipping_billing";
+    updates.requireMobilePhone = formData.get("requireMobilePhone") === "true";
+
+    // Variant option names, normalized to "A, B, C"
+    const optionNames = (field) =>
+      String(formData.get(field) || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .join(", ");
+    updates.colorOptionNames = optionNames("colorOptionNames");
+    updates.sizeOptionNames = optionNames("sizeOptionNames");
+
+    updates.remarksIncludeNote = formData.get("remarksIncludeNote") === "true";
+    updates.remarksAttributes = optionNames("remarksAttributes") || null;
+    updates.remarksMaxLength = formData.get("remarksMaxLength")
+      ? parseInt(formData.get("remarksMaxLength"), 10)
+      : 250;
+
+    if (isNaN(updates.remarksMaxLength) || updates.remarksMaxLength < 0) {
+      return { success: false, message: "Remarks length limit must be 0 (no limit) or more" };
+    }
+
     updates.paymentMethodId = formData.get("paymentMethodId")
       ? parseInt(formData.get("paymentMethodId"), 10)
       : 0;
@@ -113,6 +337,110 @@ export const action = async ({ request }) => {
     updates.feesPaid = formData.get("feesPaid") === "true";
   }
 
+  if (tab === "delivery") {
+    const { parseBlockedDates } = await import("../utils/deliverySchedule");
+
+    updates.deliveryDateField = String(formData.get("deliveryDateField") || "").trim() || null;
+    updates.deliverySlotField = String(formData.get("deliverySlotField") || "").trim() || null;
+    updates.deliveryCutoffTime = String(formData.get("deliveryCutoffTime") || "").trim() || null;
+
+    if (
+      updates.deliveryCutoffTime &&
+      !/^([01]\d|2[0-3]):[0-5]\d$/.test(updates.deliveryCutoffTime)
+    ) {
+      return { success: false, message: "Cutoff time must be in HH:MM format (e.g., 14:00)" };
+    }
+
+    updates.blockedWeekdays = parseBlockedWeekdays(formData.get("blockedWeekdays")).join(",");
+
+    const { dates, errors } = parseBlockedDates(formData.get("blockedDates"));
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: `Could not read blocked date(s): ${errors.join(", ")} - use YYYY-MM-DD`,
+      };
+    }
+    updates.blockedDates = dates.length > 0 ? dates.join(", ") : null;
+
+    updates.scheduleLeadDays = formData.get("scheduleLeadDays")
+      ? parseInt(formData.get("scheduleLeadDays"), 10)
+      : 0;
+
+    if (isNaN(updates.scheduleLeadDays) || updates.scheduleLeadDays < 0) {
+      return { success: false, message: "Days before delivery must be 0 or more" };
+    }
+  }
+
+  if (tab === "cod") {
+    const parseAmount = (field) => {
+      const value = formData.get(field);
+      return value === null || value === "" ? null : parseFloat(value);
+    };
+
+    updates.codSurchargeType = formData.get("codSurchargeType") || "none";
+    updates.codSurchargeValue = parseAmount("codSurchargeValue") ?? 0;
+    updates.codRoundingStep = parseAmount("codRoundingStep") ?? 0;
+    updates.codRoundingMode = formData.get("codRoundingMode") || "nearest";
+    updates.codMinimum = parseAmount("codMinimum");
+    updates.codMaximum = parseAmount("codMaximum");
+
+    const amounts = [
+      updates.codSurchargeValue,
+      updates.codRoundingStep,
+      updates.codMinimum ?? 0,
+      updates.codMaximum ?? 0,
+    ];
+    if (amounts.some((amount) => isNaN(amount) || amount < 0)) {
+      return { success: false, message: "COD amounts must be positive numbers" };
+    }
+
+    if (updates.codMinimum && updates.codMaximum && updates.codMinimum > updates.codMaximum) {
+      return { success: false, message: "COD minimum must not be above the maximum" };
+    }
+  }
+
+  if (tab === "currency") {
+    const { rates, errors } = parseCurrencyRateLines(formData.get("currencyRates"));
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: `Could not read rate line(s): ${errors.join(", ")} - use "USD = 3.6725"`,
+      };
+    }
+
+    updates.currencyRates = Object.keys(rates).length > 0 ? JSON.stringify(rates) : null;
+  }
+
+  if (tab === "mappings") {
+    let submitted;
+    try {
+      submitted = JSON.parse(formData.get("fieldMappings") || "[]");
+    } catch {
+      return { success: false, message: "Invalid field mappings" };
+    }
+    const mappings = parseFieldMappings(submitted);
+
+    if (!Array.isArray(submitted) || mappings.length !== submitted.length) {
+      return {
+        success: false,
+        message: "Each mapping needs a payload field name (letters, digits, _) and at least one source. Products can't be mapped.",
+      };
+    }
+
+    updates.fieldMappings = mappings.length > 0 ? JSON.stringify(mappings) : null;
+  }
+
+  if (tab === "rules") {
+    const { ruleSet, errors } = validateRuleSet(formData.get("autoSendRules"));
+
+    if (errors.length > 0) {
+      return { success: false, message: `Rules not saved. ${errors.join("; ")}` };
+    }
+
+    updates.autoSendRules = JSON.stringify(ruleSet);
+  }
+
   await prisma.storeSettings.update({
     where: { shop },
     data: updates,
@@ -122,12 +450,32 @@ export const action = async ({ request }) => {
 };
 
 export default function Settings() {
-  const { settings, cities } = useLoaderData();
+  const {
+    settings,
+    cities,
+    areasByCity,
+    catalogSyncedAt,
+    aliases,
+    rules: savedRules,
+    fieldMappings: savedMappings,
+    gatewayRules,
+    shopCurrency,
+    currencyRatesText,
+    missingSenderFields,
+  } = useLoaderData();
   const fetcher = useFetcher();
+  const previewFetcher = useFetcher();
+  const mappingFetcher = useFetcher();
   const shopify = useAppBridge();
 
   const [activeTab, setActiveTab] = useState(0);
   const [formData, setFormData] = useState(settings);
+  const [rules, setRules] = useState(savedRules);
+  const [newAlias, setNewAlias] = useState({ alias: "", cityId: "", areaId: "" });
+  const [newGateway, setNewGateway] = useState({ gateway: "", paymentType: "cod" });
+  const [ratesText, setRatesText] = useState(currencyRatesText);
+  const [mappings, setMappings] = useState(savedMappings);
+  const [previewOrderName, setPreviewOrderName] = useState("");
 
   const isLoading = fetcher.state !== "idle";
   const actionData = fetcher.data;
@@ -157,13 +505,179 @@ export default function Settings() {
     fetcher.submit(form, { method: "POST" });
   };
 
+  const toggleBlockedWeekday = (day, blocked) => {
+    const days = parseBlockedWeekdays(formData.blockedWeekdays).filter((d) => d !== day);
+    if (blocked) days.push(day);
+    handleInputChange("blockedWeekdays", days.sort().join(","));
+  };
+
+  const handleRulesSubmit = () => {
+    const form = new FormData();
+    form.set("tab", "rules");
+    form.set("autoSendRules", JSON.stringify(rules));
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const handleRatesSubmit = () => {
+    const form = new FormData();
+    form.set("tab", "currency");
+    form.set("currencyRates", ratesText);
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const handlePreviewRules = () => {
+    const form = new FormData();
+    form.set("_action", "preview_rules");
+    form.set("autoSendRules", JSON.stringify(rules));
+    previewFetcher.submit(form, { method: "POST" });
+  };
+
+  const addCondition = () => {
+    setRules((prev) => ({
+      ...prev,
+      conditions: [
+        ...prev.conditions,
+        { field: "shipping_title", operator: "contains", value: "" },
+      ],
+    }));
+  };
+
+  const updateCondition = (index, changes) => {
+    setRules((prev) => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => {
+        if (i !== index) return condition;
+        const updated = { ...condition, ...changes };
+        // Reset the operator when the field type changes
+        if (changes.field) {
+          const operators = RULE_OPERATORS[RULE_FIELDS[changes.field].type];
+          if (!operators[updated.operator]) {
+            updated.operator = Object.keys(operators)[0];
+          }
+        }
+        return updated;
+      }),
+    }));
+  };
+
+  const removeCondition = (index) => {
+    setRules((prev) => ({
+      ...prev,
+      conditions: prev.conditions.filter((_, i) => i !== index),
+    }));
+  };
+
+  const handleMappingsSubmit = () => {
+    const form = new FormData();
+    form.set("tab", "mappings");
+    form.set("fieldMappings", JSON.stringify(mappings));
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const handlePreviewMapping = () => {
+    const form = new FormData();
+    form.set("_action", "preview_mapping");
+    form.set("orderName", previewOrderName);
+    form.set("fieldMappings", JSON.stringify(mappings));
+    mappingFetcher.submit(form, { method: "POST" });
+  };
+
+  const updateMapping = (index, changes) => {
+    setMappings((prev) =>
+      prev.map((mapping, i) => (i === index ? { ...mapping, ...changes } : mapping))
+    );
+  };
+
+  const updateMappingSource = (index, sourceIndex, changes) => {
+    const mapping = mappings[index];
+    updateMapping(index, {
+      sources: mapping.sources.map((source, i) =>
+        i === sourceIndex ? { ...source, ...changes } : source
+      ),
+    });
+  };
+
+  const toggleMappingTransform = (index, transform, enabled) => {
+    const transforms = mappings[index].transforms.filter((t) => t !== transform);
+    updateMapping(index, {
+      transforms: enabled ? [...transforms, transform] : transforms,
+    });
+  };
+
+  const handleSyncCatalog = () => {
+    const form = new FormData();
+    form.set("_action", "sync_catalog");
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const senderAreas = areasByCity[formData.senderCityId] || [];
+  const aliasAreas = areasByCity[newAlias.cityId] || [];
+
+  const handleAddAlias = () => {
+    const form = new FormData();
+    form.set("_action", "add_alias");
+    form.set("alias", newAlias.alias);
+    form.set("areaId", newAlias.areaId);
+    fetcher.submit(form, { method: "POST" });
+    setNewAlias((prev) => ({ ...prev, alias: "" }));
+  };
+
+  const handleDeleteAlias = (aliasId) => {
+    const form = new FormData();
+    form.set("_action", "delete_alias");
+    form.set("aliasId", String(aliasId));
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const feeValue = (value) => (value === null || value === undefined ? "" : String(value));
+
+  const handleSaveGateway = (rule, changes = {}) => {
+    const updated = { ...rule, ...changes };
+    const form = new FormData();
+    form.set("_action", "save_gateway");
+    form.set("gateway", updated.gateway);
+    form.set("paymentType", updated.paymentType);
+    form.set("feesOnSender", feeValue(updated.feesOnSender));
+    form.set("feesPaid", feeValue(updated.feesPaid));
+    fetcher.submit(form, { method: "POST" });
+  };
+
+  const handleAddGateway = () => {
+    handleSaveGateway({ ...newGateway, feesOnSender: null, feesPaid: null });
+    setNewGateway({ gateway: "", paymentType: "cod" });
+  };
+
+  const handleDeleteGateway = (ruleId) => {
+    const form = new FormData();
+    form.set("_action", "delete_gateway");
+    form.set("ruleId", String(ruleId));
+    fetcher.submit(form, { method: "POST" });
+  };
+
   const handleTestConnection = () => {
     const form = new FormData();
     form.set("_action", "test_connection");
     fetcher.submit(form, { method: "POST" });
   };
 
-  const tabs = ["General", "Sender", "Shipping"];
+  const tabs = [
+    "General",
+    "Sender",
+    "Shipping",
+    "Auto-send Rules",
+    "Area Aliases",
+    "Payment Gateways",
+    "Field Mapping",
+  ];
+  const missingShopRate =
+    shopCurrency &&
+    shopCurrency !== DELIFAST_CURRENCY &&
+    !parseCurrencyRates(settings.currencyRates)[shopCurrency];
+  const unclassifiedCount = gatewayRules.filter(
+    (rule) => rule.paymentType === "unclassified"
+  ).length;
+  const preview = previewFetcher.data?.preview;
+  const mappingPreview = mappingFetcher.data?.mappingPreview;
 
   return (
     <s-page heading="Delifast Settings">
@@ -227,6 +741,15 @@ export default function Settings() {
               </s-select>
             )}
 
+            {formData.mode === "auto" && (
+              <s-checkbox
+                checked={!!formData.dryRun}
+                onChange={(e) => handleInputChange("dryRun", e.target.checked)}
+              >
+                Dry run - log what auto-send would send without sending anything
+              </s-checkbox>
+            )}
+
             <s-stack direction="inline" gap="base">
               <s-button
                 onClick={() => handleSubmit("general")}
@@ -254,6 +777,15 @@ export default function Settings() {
             account after login. You can also manually configure it here.
           </s-paragraph>
 
+          {missingSenderFields.length > 0 && (
+            <s-banner tone="warning">
+              <s-text>
+                Orders cannot be sent until these fields are set:{" "}
+                {missingSenderFields.join(", ")}
+              </s-text>
+            </s-banner>
+          )}
+
           <s-stack direction="block" gap="base">
             <s-text-field
               label="Sender Number"
@@ -290,17 +822,36 @@ export default function Settings() {
               {cities.map((city) => (
                 <option key={city.id} value={city.id}>
                   {city.name}
+                  {city.nameAr ? ` - ${city.nameAr}` : ""}
                 </option>
               ))}
             </s-select>
-            <s-text-field
-              label="Area ID"
-              value={formData.senderAreaId || ""}
-              onChange={(e) =>
-                handleInputChange("senderAreaId", e.target.value)
-              }
-              helpText="Delifast area ID for your location"
-            />
+            {senderAreas.length > 0 ? (
+              <s-select
+                label="Area"
+                value={formData.senderAreaId || ""}
+                onChange={(e) =>
+                  handleInputChange("senderAreaId", e.target.value)
+                }
+              >
+                <option value="">Select an area</option>
+                {senderAreas.map((area) => (
+                  <option key={area.id} value={area.id}>
+                    {area.name}
+                    {area.nameAr ? ` - ${area.nameAr}` : ""}
+                  </option>
+                ))}
+              </s-select>
+            ) : (
+              <s-text-field
+                label="Area ID"
+                value={formData.senderAreaId || ""}
+                onChange={(e) =>
+                  handleInputChange("senderAreaId", e.target.value)
+                }
+                helpText="Delifast area ID for your location (sync the city catalog to pick from a list)"
+              />
+            )}
             <s-button onClick={() => handleSubmit("sender")} loading={isLoading}>
               Save Sender Settings
             </s-button>
@@ -339,9 +890,76 @@ export default function Settings() {
               {cities.map((city) => (
                 <option key={city.id} value={city.id}>
                   {city.name}
+                  {city.nameAr ? ` - ${city.nameAr}` : ""}
                 </option>
               ))}
             </s-select>
+            <s-select
+              label="Delivery Address"
+              value={formData.addressSource || "shipping_billing"}
+              onChange={(e) =>
+                handleInputChange("addressSource", e.target.value)
+              }
+              helpText="Consignee name, phone and address are taken from this address, with empty fields filled from the other one. Orders without a shipping address and local pickup orders are never sent."
+            >
+              <option value="shipping_billing">
+                Shipping address, fall back to billing address
+              </option>
+              <option value="shipping_only">Shipping address only</option>
+              <option value="billing_shipping">
+                Billing address, fall back to shipping address
+              </option>
+            </s-select>
+            <s-checkbox
+              checked={!!formData.requireMobilePhone}
+              onChange={(e) =>
+                handleInputChange("requireMobilePhone", e.target.checked)
+              }
+            >
+              Require a UAE mobile number (hold orders with only a landline)
+            </s-checkbox>
+            <s-text-field
+              label="Color Option Names"
+              value={formData.colorOptionNames || ""}
+              onChange={(e) =>
+                handleInputChange("colorOptionNames", e.target.value)
+              }
+              helpText="Comma-separated variant option names sent as the product Color"
+            />
+            <s-text-field
+              label="Size Option Names"
+              value={formData.sizeOptionNames || ""}
+              onChange={(e) =>
+                handleInputChange("sizeOptionNames", e.target.value)
+              }
+              helpText="Comma-separated variant option names sent as the product Size. Other options are left out."
+            />
+            <s-checkbox
+              checked={!!formData.remarksIncludeNote}
+              onChange={(e) =>
+                handleInputChange("remarksIncludeNote", e.target.checked)
+              }
+            >
+              Send the order note to the driver as remarks
+            </s-checkbox>
+            <s-text-field
+              label="Remarks Attributes"
+              placeholder="e.g. Gate code, Delivery instructions"
+              value={formData.remarksAttributes || ""}
+              onChange={(e) =>
+                handleInputChange("remarksAttributes", e.target.value)
+              }
+              helpText="Comma-separated checkout attribute names added to the remarks as Name: value"
+            />
+            <s-text-field
+              label="Remarks Length Limit"
+              type="number"
+              value={String(formData.remarksMaxLength ?? 250)}
+              onChange={(e) =>
+                handleInputChange("remarksMaxLength", e.target.value)
+              }
+              helpText="Longer remarks are cut off. 0 = no limit."
+            />
             <s-select
               label="Payment Method"
               value={formData.paymentMethodId || 0}
@@ -376,6 +994,786 @@ export default function Settings() {
         </s-section>
       )}
 
+      {activeTab === 2 && (
+        <s-section heading="Delivery Scheduling">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Orders with a requested delivery date are held as Scheduled and
+              sent to Delifast on the right day. Dates and times are UAE time.
+            </s-paragraph>
+            <s-text-field
+              label="Delivery Date Attribute"
+              placeholder="e.g. Delivery Date"
+              value={formData.deliveryDateField || ""}
+              onChange={(e) =>
+                handleInputChange("deliveryDateField", e.target.value)
+              }
+              helpText="Checkout attribute holding the requested delivery date. Leave empty to send orders right away."
+            />
+            <s-text-field
+              label="Time Slot Attribute"
+              placeholder="e.g. Delivery Time"
+              value={formData.deliverySlotField || ""}
+              onChange={(e) =>
+                handleInputChange("deliverySlotField", e.target.value)
+              }
+              helpText="Checkout attribute holding the time slot, e.g. 10:00 - 14:00"
+            />
+            <s-text-field
+              label="Same-day Cutoff"
+              placeholder="14:00"
+              value={formData.deliveryCutoffTime || ""}
+              onChange={(e) =>
+                handleInputChange("deliveryCutoffTime", e.target.value)
+              }
+              helpText="Orders asking for same-day delivery after this time are held"
+            />
+            <s-text-field
+              label="Send Days Before Delivery"
+              type="number"
+              value={String(formData.scheduleLeadDays ?? 0)}
+              onChange={(e) =>
+                handleInputChange("scheduleLeadDays", e.target.value)
+              }
+              helpText="0 = send on the delivery date"
+            />
+            <s-text>No deliveries on:</s-text>
+            {WEEKDAY_NAMES.map((name, day) => (
+              <s-checkbox
+                key={day}
+                checked={parseBlockedWeekdays(formData.blockedWeekdays).includes(day)}
+                onChange={(e) => toggleBlockedWeekday(day, e.target.checked)}
+              >
+                {name}
+              </s-checkbox>
+            ))}
+            <s-text-area
+              label="Blocked Dates"
+              placeholder={"2026-12-02\n2026-12-03"}
+              rows={4}
+              value={formData.blockedDates || ""}
+              onChange={(e) =>
+                handleInputChange("blockedDates", e.target.value)
+              }
+              helpText="Public holidays without deliveries, one per line or comma-separated (YYYY-MM-DD)"
+            />
+            <s-button
+              onClick={() => handleSubmit("delivery")}
+              loading={isLoading}
+            >
+              Save Delivery Scheduling
+            </s-button>
+          </s-stack>
+        </s-section>
+      )}
+
+      {activeTab === 3 && (
+        <s-section heading="Auto-send Rules">
+          <s-paragraph>
+            In auto mode, orders are only sent when they match these rules.
+            Leave the list empty to send every order.
+          </s-paragraph>
+
+          <s-stack direction="block" gap="base">
+            <s-select
+              label="Send when"
+              value={rules.match}
+              onChange={(e) =>
+                setRules((prev) => ({ ...prev, match: e.target.value }))
+              }
+            >
+              <option value="all">All conditions match (AND)</option>
+              <option value="any">Any condition matches (OR)</option>
+            </s-select>
+
+            {rules.conditions.map((condition, index) => {
+              const fieldType = RULE_FIELDS[condition.field].type;
+              return (
+                <s-stack key={index} direction="inline" gap="tight">
+                  <s-select
+                    label="Field"
+                    value={condition.field}
+                    onChange={(e) =>
+                      updateCondition(index, { field: e.target.value })
+                    }
+                  >
+                    {Object.entries(RULE_FIELDS).map(([key, field]) => (
+                      <option key={key} value={key}>
+                        {field.label}
+                      </option>
+                    ))}
+                  </s-select>
+                  <s-select
+                    label="Operator"
+                    value={condition.operator}
+                    onChange={(e) =>
+                      updateCondition(index, { operator: e.target.value })
+                    }
+                  >
+                    {Object.entries(RULE_OPERATORS[fieldType]).map(
+                      ([key, label]) => (
+                        <option key={key} value={key}>
+                          {label}
+                        </option>
+                      )
+                    )}
+                  </s-select>
+                  <s-text-field
+                    label="Value"
+                    value={condition.value || ""}
+                    onChange={(e) =>
+                      updateCondition(index, { value: e.target.value })
+                    }
+                  />
+                  <s-button
+                    variant="tertiary"
+                    tone="critical"
+                    onClick={() => removeCondition(index)}
+                  >
+                    Remove
+                  </s-button>
+                </s-stack>
+              );
+            })}
+
+            <s-stack direction="inline" gap="base">
+              <s-button variant="secondary" onClick={addCondition}>
+                Add Condition
+              </s-button>
+              <s-button onClick={handleRulesSubmit} loading={isLoading}>
+                Save Rules
+              </s-button>
+              <s-button
+                variant="secondary"
+                onClick={handlePreviewRules}
+                loading={previewFetcher.state !== "idle"}
+              >
+                Preview Recent Orders
+              </s-button>
+            </s-stack>
+
+            {previewFetcher.data?.previewError && (
+              <s-banner tone="critical">
+                <s-text>{previewFetcher.data.previewError}</s-text>
+              </s-banner>
+            )}
+
+            {preview && (
+              <s-box>
+                <s-text>
+                  {preview.filter((order) => order.matched).length} of{" "}
+                  {preview.length} recent orders would be sent
+                </s-text>
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                      <th style={{ padding: "8px", textAlign: "left" }}>Order</th>
+                      <th style={{ padding: "8px", textAlign: "left" }}>Total</th>
+                      <th style={{ padding: "8px", textAlign: "left" }}>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.map((order) => (
+                      <tr key={order.id} style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                        <td style={{ padding: "8px", verticalAlign: "top" }}>
+                          <s-text fontWeight="semibold">{order.name}</s-text>
+                        </td>
+                        <td style={{ padding: "8px", verticalAlign: "top" }}>
+                          <s-text>{order.totalPrice}</s-text>
+                        </td>
+                        <td style={{ padding: "8px", verticalAlign: "top" }}>
+                          {order.matched ? (
+                            <s-badge tone="success">Would send</s-badge>
+                          ) : (
+                            <>
+                              <s-badge>Skipped</s-badge>
+                              {order.reasons.map((reason, i) => (
+                                <s-text
+                                  key={i}
+                                  variant="subdued"
+                                  style={{ display: "block", fontSize: "12px" }}
+                                >
+                                  {reason}
+                                </s-text>
+                              ))}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </s-box>
+            )}
+          </s-stack>
+        </s-section>
+      )}
+
+      {activeTab === 4 && (
+        <s-section heading="Area Aliases">
+          <s-paragraph>
+            The delivery area is matched from the address lines against the
+            Delifast area list. Add aliases for building, community or street
+            names your customers use that do not match an area name.
+          </s-paragraph>
+
+          {Object.keys(areasByCity).length === 0 ? (
+            <s-banner tone="info">
+              <s-text>
+                Sync cities and areas from Delifast first to add aliases.
+              </s-text>
+            </s-banner>
+          ) : (
+            <s-stack direction="block" gap="base">
+              <s-stack direction="inline" gap="tight">
+                <s-text-field
+                  label="Alias"
+                  placeholder="e.g. The Greens"
+                  value={newAlias.alias}
+                  onChange={(e) =>
+                    setNewAlias((prev) => ({ ...prev, alias: e.target.value }))
+                  }
+                />
+                <s-select
+                  label="City"
+                  value={newAlias.cityId}
+                  onChange={(e) =>
+                    setNewAlias((prev) => ({
+                      ...prev,
+                      cityId: e.target.value,
+                      areaId: "",
+                    }))
+                  }
+                >
+                  <option value="">Select a city</option>
+                  {cities.map((city) => (
+                    <option key={city.id} value={city.id}>
+                      {city.name}
+                    </option>
+                  ))}
+                </s-select>
+                <s-select
+                  label="Area"
+                  value={newAlias.areaId}
+                  onChange={(e) =>
+                    setNewAlias((prev) => ({ ...prev, areaId: e.target.value }))
+                  }
+                >
+                  <option value="">Select an area</option>
+                  {aliasAreas.map((area) => (
+                    <option key={area.id} value={area.id}>
+                      {area.name}
+                      {area.nameAr ? ` - ${area.nameAr}` : ""}
+                    </option>
+                  ))}
+                </s-select>
+              </s-stack>
+              <s-button
+                onClick={handleAddAlias}
+                loading={isLoading}
+                disabled={!newAlias.alias.trim() || !newAlias.areaId}
+              >
+                Add Alias
+              </s-button>
+            </s-stack>
+          )}
+
+          {aliases.length > 0 && (
+            <table style={{ width: "100%", borderCollapse: "collapse", marginTop: "16px" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                  <th style={{ padding: "8px", textAlign: "left" }}>Alias</th>
+                  <th style={{ padding: "8px", textAlign: "left" }}>Area</th>
+                  <th style={{ padding: "8px", textAlign: "left" }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {aliases.map((alias) => (
+                  <tr key={alias.id} style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                    <td style={{ padding: "8px" }}>
+                      <s-text fontWeight="semibold">{alias.alias}</s-text>
+                    </td>
+                    <td style={{ padding: "8px" }}>
+                      <s-text>{alias.areaName}</s-text>
+                    </td>
+                    <td style={{ padding: "8px" }}>
+                      <s-button
+                        variant="tertiary"
+                        tone="critical"
+                        onClick={() => handleDeleteAlias(alias.id)}
+                        disabled={isLoading}
+                      >
+                        Remove
+                      </s-button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </s-section>
+      )}
+
+      {activeTab === 5 && (
+        <s-section heading="Payment Gateways">
+          <s-paragraph>
+            Choose how each payment gateway is sent to Delifast. COD orders
+            collect the order total on delivery; prepaid orders collect
+            nothing. Gateways are added here automatically the first time an
+            order uses them.
+          </s-paragraph>
+
+          {unclassifiedCount > 0 && (
+            <s-banner tone="warning">
+              <s-text>
+                {unclassifiedCount} gateway(s) are not classified. Until they
+                are, orders are treated as COD only when the gateway name looks
+                like cash on delivery; unpaid orders on other unclassified
+                gateways are held.
+              </s-text>
+            </s-banner>
+          )}
+
+          {gatewayRules.length === 0 ? (
+            <s-text variant="subdued">
+              No gateways seen yet. They appear after the first order is sent,
+              or add one below.
+            </s-text>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse", marginTop: "16px" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                  <th style={{ padding: "8px", textAlign: "left" }}>Gateway</th>
+                  <th style={{ padding: "8px", textAlign: "left" }}>Type</th>
+                  <th style={{ padding: "8px", textAlign: "left" }}>Fees on Sender</th>
+                  <th style={{ padding: "8px", textAlign: "left" }}>Fees Paid</th>
+                  <th style={{ padding: "8px", textAlign: "left" }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {gatewayRules.map((rule) => (
+                  <tr key={rule.id} style={{ borderBottom: "1px solid var(--p-color-border-subdued)" }}>
+                    <td style={{ padding: "8px", verticalAlign: "top" }}>
+                      <s-text fontWeight="semibold">{rule.gateway}</s-text>
+                      <s-text
+                        variant="subdued"
+                        style={{ display: "block", fontSize: "12px" }}
+                      >
+                        Last seen: {new Date(rule.lastSeenAt).toLocaleString()}
+                      </s-text>
+                    </td>
+                    <td style={{ padding: "8px", verticalAlign: "top" }}>
+                      <s-select
+                        label="Type"
+                        labelAccessibilityVisibility="exclusive"
+                        value={rule.paymentType}
+                        onChange={(e) =>
+                          handleSaveGateway(rule, { paymentType: e.target.value })
+                        }
+                        disabled={isLoading}
+                      >
+                        <option value="unclassified">Not classified</option>
+                        <option value="cod">Cash on delivery</option>
+                        <option value="prepaid">Prepaid</option>
+                      </s-select>
+                    </td>
+                    <td style={{ padding: "8px", verticalAlign: "top" }}>
+                      <s-select
+                        label="Fees on Sender"
+                        labelAccessibilityVisibility="exclusive"
+                        value={feeValue(rule.feesOnSender)}
+                        onChange={(e) =>
+                          handleSaveGateway(rule, { feesOnSender: e.target.value })
+                        }
+                        disabled={isLoading}
+                      >
+                        <option value="">Default</option>
+                        <option value="true">Yes</option>
+                        <option value="false">No</option>
+                      </s-select>
+                    </td>
+                    <td style={{ padding: "8px", verticalAlign: "top" }}>
+                      <s-select
+                        label="Fees Paid"
+                        labelAccessibilityVisibility="exclusive"
+                        value={feeValue(rule.feesPaid)}
+                        onChange={(e) =>
+                          handleSaveGateway(rule, { feesPaid: e.target.value })
+                        }
+                        disabled={isLoading}
+                      >
+                        <option value="">Default</option>
+                        <option value="true">Yes</option>
+                        <option value="false">No</option>
+                      </s-select>
+                    </td>
+                    <td style={{ padding: "8px", verticalAlign: "top" }}>
+                      <s-button
+                        variant="tertiary"
+                        tone="critical"
+                        onClick={() => handleDeleteGateway(rule.id)}
+                        disabled={isLoading}
+                      >
+                        Remove
+                      </s-button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <s-text variant="subdued">
+            Default fees: COD orders leave shipping fees with the recipient;
+            prepaid orders use the Fees on Sender and Fees Paid settings on
+            the Shipping tab.
+          </s-text>
+
+          <s-stack direction="inline" gap="tight">
+            <s-text-field
+              label="Gateway name"
+              placeholder="e.g. Cash on Delivery (COD)"
+              details="Exactly as shown on the order's payment details"
+              value={newGateway.gateway}
+              onChange={(e) =>
+                setNewGateway((prev) => ({ ...prev, gateway: e.target.value }))
+              }
+            />
+            <s-select
+              label="Type"
+              value={newGateway.paymentType}
+              onChange={(e) =>
+                setNewGateway((prev) => ({ ...prev, paymentType: e.target.value }))
+              }
+            >
+              <option value="cod">Cash on delivery</option>
+              <option value="prepaid">Prepaid</option>
+            </s-select>
+          </s-stack>
+          <s-button
+            onClick={handleAddGateway}
+            loading={isLoading}
+            disabled={!newGateway.gateway.trim()}
+          >
+            Add Gateway
+          </s-button>
+        </s-section>
+      )}
+
+      {activeTab === 5 && (
+        <s-section heading="COD Amount">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Adjust the cash the driver collects on COD orders. The surcharge
+              is added first, then the amount is rounded and raised to the
+              minimum. Orders above the maximum are not auto-sent.
+            </s-paragraph>
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="COD Surcharge"
+                value={formData.codSurchargeType}
+                onChange={(e) =>
+                  handleInputChange("codSurchargeType", e.target.value)
+                }
+              >
+                <option value="none">None</option>
+                <option value="fixed">Fixed amount (AED)</option>
+                <option value="percent">Percentage of the balance</option>
+              </s-select>
+              {formData.codSurchargeType !== "none" && (
+                <s-text-field
+                  label={formData.codSurchargeType === "percent" ? "Surcharge (%)" : "Surcharge (AED)"}
+                  type="number"
+                  value={String(formData.codSurchargeValue ?? 0)}
+                  onChange={(e) =>
+                    handleInputChange("codSurchargeValue", e.target.value)
+                  }
+                />
+              )}
+            </s-stack>
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Round To"
+                value={String(formData.codRoundingStep ?? 0)}
+                onChange={(e) =>
+                  handleInputChange("codRoundingStep", e.target.value)
+                }
+              >
+                <option value="0">No rounding</option>
+                <option value="0.25">0.25 AED</option>
+                <option value="0.5">0.50 AED</option>
+                <option value="1">1 AED</option>
+                <option value="5">5 AED</option>
+              </s-select>
+              <s-select
+                label="Rounding Mode"
+                value={formData.codRoundingMode}
+                onChange={(e) =>
+                  handleInputChange("codRoundingMode", e.target.value)
+                }
+                disabled={!(parseFloat(formData.codRoundingStep) > 0)}
+              >
+                <option value="nearest">Nearest</option>
+                <option value="up">Up</option>
+                <option value="down">Down</option>
+              </s-select>
+            </s-stack>
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Minimum COD (AED)"
+                type="number"
+                placeholder="No minimum"
+                value={formData.codMinimum === null ? "" : String(formData.codMinimum)}
+                onChange={(e) => handleInputChange("codMinimum", e.target.value)}
+              />
+              <s-text-field
+                label="Maximum COD (AED)"
+                type="number"
+                placeholder="No maximum"
+                details="Orders above are held back from auto-send"
+                value={formData.codMaximum === null ? "" : String(formData.codMaximum)}
+                onChange={(e) => handleInputChange("codMaximum", e.target.value)}
+              />
+            </s-stack>
+            <s-button onClick={() => handleSubmit("cod")} loading={isLoading}>
+              Save COD Rules
+            </s-button>
+          </s-stack>
+        </s-section>
+      )}
+
+      {activeTab === 5 && (
+        <s-section heading="Currency">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              Delifast collects cash in {DELIFAST_CURRENCY}. COD amounts are
+              taken in your store currency
+              {shopCurrency ? ` (${shopCurrency})` : ""} and converted to{" "}
+              {DELIFAST_CURRENCY} using the rate Shopify applied when the
+              customer paid in {DELIFAST_CURRENCY}, otherwise the rates below.
+              COD orders with no rate are held.
+            </s-paragraph>
+
+            {missingShopRate && (
+              <s-banner tone="warning">
+                <s-text>
+                  Your store currency is {shopCurrency}. Add a {shopCurrency}{" "}
+                  rate so COD orders paid in other currencies can be sent.
+                </s-text>
+              </s-banner>
+            )}
+
+            <s-text-area
+              label={`Exchange rates (${DELIFAST_CURRENCY} per unit)`}
+              placeholder={"USD = 3.6725\nSAR = 0.979"}
+              details="One currency per line"
+              rows={4}
+              value={ratesText}
+              onChange={(e) => setRatesText(e.target.value)}
+            />
+            <s-button onClick={handleRatesSubmit} loading={isLoading}>
+              Save Rates
+            </s-button>
+          </s-stack>
+        </s-section>
+      )}
+
+      {activeTab === 6 && (
+        <s-section heading="Field Mapping">
+          <s-paragraph>
+            Override or add fields of the shipment sent to Delifast, e.g. put
+            the company name in billing_address_2 or a metafield in the
+            reference. Sources are joined with the separator, empty ones are
+            skipped, and the default is used when nothing is left. Mapped
+            shipments are validated like any other.
+          </s-paragraph>
+
+          <s-stack direction="block" gap="base">
+            {mappings.map((mapping, index) => (
+              <s-box
+                key={index}
+                padding="base"
+                borderWidth="base"
+                borderRadius="base"
+              >
+                <s-stack direction="block" gap="tight">
+                  <s-stack direction="inline" gap="tight">
+                    <s-text-field
+                      label="Delifast field"
+                      placeholder="billing_address_2"
+                      value={mapping.field}
+                      onChange={(e) =>
+                        updateMapping(index, { field: e.target.value })
+                      }
+                    />
+                    <s-text-field
+                      label="Separator"
+                      value={mapping.separator}
+                      onChange={(e) =>
+                        updateMapping(index, { separator: e.target.value })
+                      }
+                    />
+                    <s-text-field
+                      label="Default"
+                      value={mapping.defaultValue}
+                      onChange={(e) =>
+                        updateMapping(index, { defaultValue: e.target.value })
+                      }
+                    />
+                  </s-stack>
+
+                  {mapping.sources.map((source, sourceIndex) => (
+                    <s-stack key={sourceIndex} direction="inline" gap="tight">
+                      <s-select
+                        label="Source"
+                        value={source.type}
+                        onChange={(e) =>
+                          updateMappingSource(index, sourceIndex, {
+                            type: e.target.value,
+                          })
+                        }
+                      >
+                        {Object.entries(MAPPING_SOURCES).map(([key, option]) => (
+                          <option key={key} value={key}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </s-select>
+                      <s-text-field
+                        label="Value"
+                        placeholder={MAPPING_SOURCES[source.type].placeholder}
+                        value={source.value}
+                        onChange={(e) =>
+                          updateMappingSource(index, sourceIndex, {
+                            value: e.target.value,
+                          })
+                        }
+                      />
+                      <s-button
+                        variant="tertiary"
+                        tone="critical"
+                        disabled={mapping.sources.length === 1}
+                        onClick={() =>
+                          updateMapping(index, {
+                            sources: mapping.sources.filter(
+                              (_, i) => i !== sourceIndex
+                            ),
+                          })
+                        }
+                      >
+                        Remove
+                      </s-button>
+                    </s-stack>
+                  ))}
+
+                  <s-stack direction="inline" gap="base">
+                    {Object.entries(MAPPING_TRANSFORMS).map(([key, label]) => (
+                      <s-checkbox
+                        key={key}
+                        checked={mapping.transforms.includes(key)}
+                        onChange={(e) =>
+                          toggleMappingTransform(index, key, e.target.checked)
+                        }
+                      >
+                        {label}
+                      </s-checkbox>
+                    ))}
+                  </s-stack>
+
+                  <s-stack direction="inline" gap="base">
+                    <s-button
+                      variant="secondary"
+                      onClick={() =>
+                        updateMapping(index, {
+                          sources: [...mapping.sources, { type: "order", value: "" }],
+                        })
+                      }
+                    >
+                      Add Source
+                    </s-button>
+                    <s-button
+                      variant="tertiary"
+                      tone="critical"
+                      onClick={() =>
+                        setMappings((prev) => prev.filter((_, i) => i !== index))
+                      }
+                    >
+                      Remove Mapping
+                    </s-button>
+                  </s-stack>
+                </s-stack>
+              </s-box>
+            ))}
+
+            <s-stack direction="inline" gap="base">
+              <s-button
+                variant="secondary"
+                onClick={() =>
+                  setMappings((prev) => [...prev, { ...NEW_FIELD_MAPPING }])
+                }
+              >
+                Add Mapping
+              </s-button>
+              <s-button onClick={handleMappingsSubmit} loading={isLoading}>
+                Save Mappings
+              </s-button>
+            </s-stack>
+
+            <s-stack direction="inline" gap="tight">
+              <s-text-field
+                label="Preview with order"
+                placeholder="#1001 (latest order if empty)"
+                value={previewOrderName}
+                onChange={(e) => setPreviewOrderName(e.target.value)}
+              />
+              <s-button
+                variant="secondary"
+                onClick={handlePreviewMapping}
+                loading={mappingFetcher.state !== "idle"}
+              >
+                Preview Shipment
+              </s-button>
+            </s-stack>
+
+            {mappingFetcher.data?.mappingPreviewError && (
+              <s-banner tone="critical">
+                <s-text>{mappingFetcher.data.mappingPreviewError}</s-text>
+              </s-banner>
+            )}
+
+            {mappingPreview && (
+              <s-box>
+                <s-text fontWeight="semibold">
+                  Shipment for {mappingPreview.orderName}
+                </s-text>
+                {mappingPreview.applied.map((change) => (
+                  <s-text
+                    key={change.field}
+                    variant="subdued"
+                    style={{ display: "block", fontSize: "12px" }}
+                  >
+                    {change.field}: {JSON.stringify(change.from)} →{" "}
+                    {JSON.stringify(change.to)}
+                  </s-text>
+                ))}
+                {mappingPreview.errors.map((error, i) => (
+                  <s-text
+                    key={i}
+                    tone="critical"
+                    style={{ display: "block", fontSize: "12px" }}
+                  >
+                    {error}
+                  </s-text>
+                ))}
+                <pre style={{ fontSize: "12px", whiteSpace: "pre-wrap" }}>
+                  {JSON.stringify(mappingPreview.orderData, null, 2)}
+                </pre>
+              </s-box>
+            )}
+          </s-stack>
+        </s-section>
+      )}
+
       <s-section slot="aside" heading="Connection Status">
         {settings.apiToken ? (
           <s-banner tone="success">
@@ -395,6 +1793,24 @@ export default function Settings() {
         )}
       </s-section>
 
+      <s-section slot="aside" heading="Cities & Areas">
+        <s-stack direction="block" gap="tight">
+          <s-text variant="subdued">
+            {catalogSyncedAt
+              ? `Last synced from Delifast: ${new Date(catalogSyncedAt).toLocaleString()}`
+              : "Not synced yet - using the built-in emirate list"}
+          </s-text>
+          <s-button
+            variant="secondary"
+            onClick={handleSyncCatalog}
+            loading={isLoading}
+            disabled={!settings.apiToken}
+          >
+            Sync Now
+          </s-button>
+        </s-stack>
+      </s-section>
+
       <s-section slot="aside" heading="Quick Links">
         <s-unordered-list>
           <s-list-item>
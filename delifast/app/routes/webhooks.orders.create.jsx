@@ -3,8 +3,8 @@
  * Triggered when a new order is created in Shopify
  */
 
-import shopify, { verifyShopifyWebhookHmac } from "../shopify.server";
-import { handleOrderCreated } from "../services/orderHandler.server";
+import { verifyShopifyWebhookHmac } from "../shopify.server";
+import { queueWebhook } from "../services/webhookQueue.server";
 import { logger } from "../services/logger.server";
 
 export const action = async ({ request }) => {
@@ -51,50 +51,32 @@ export const action = async ({ request }) => {
     request.headers.get("X-Shopify-Topic") ||
     "orders/create";
 
+  const webhookId =
+    request.headers.get("x-shopify-webhook-id") ||
+    request.headers.get("X-Shopify-Webhook-Id");
+
   logger.info(
     `Received ${topic} webhook`,
     {
       orderId: payload?.id,
       orderNumber: payload?.name,
+      webhookId,
     },
     shop
   );
 
+  // 4) Queue the payload and acknowledge right away (see queueWebhook)
   try {
-    /**
-     * 4) OPTIONAL: If your handler needs Admin API, create it from the OFFLINE session.
-     * Webhooks do not include a browser/admin session, so authenticate.admin() is not reliable here.
-     */
-    let admin = null;
-
-    try {
-      const offlineSessionId = `offline_${shop}`;
-      const session = await shopify.sessionStorage.loadSession(offlineSessionId);
-
-      if (session) {
-        // ⚠️ This exact client creation may differ by your package version.
-        // If you already create an admin client elsewhere, reuse that approach here.
-        const client = new shopify.api.clients.Graphql({ session });
-        admin = client;
-      } else {
-        logger.info(
-          "No offline session found for shop (continuing without admin client)",
-          {},
-          shop
-        );
-      }
-    } catch (e) {
-      logger.info(
-        "Failed to build admin client from offline session (continuing without admin)",
-        { error: e?.message },
-        shop
-      );
-    }
-
-    await handleOrderCreated(shop, payload, admin);
+    await queueWebhook({
+      shop,
+      topic: "orders/create",
+      webhookId,
+      payload,
+      rawBody,
+    });
   } catch (error) {
     logger.error(
-      `Error processing ${topic} webhook`,
+      `Failed to queue ${topic} webhook`,
       {
         error: error?.message,
         orderId: payload?.id,
@@ -102,8 +84,7 @@ export const action = async ({ request }) => {
       shop
     );
 
-    // Prevent Shopify retry storms for internal errors you handle/log
-    return new Response("OK", { status: 200 });
+    return new Response("Failed to queue webhook", { status: 500 });
   }
 
   return new Response("OK", { status: 200 });
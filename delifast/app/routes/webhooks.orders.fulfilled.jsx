@@ -0,0 +1,91 @@
+/**
+ * Webhook Handler: orders/fulfilled
+ * Triggered when all items of an order are fulfilled in Shopify
+ */
+
+import { verifyShopifyWebhookHmac } from "../shopify.server";
+import { queueWebhook } from "../services/webhookQueue.server";
+import { logger } from "../services/logger.server";
+
+export const action = async ({ request }) => {
+  // 1) Verify HMAC first
+  const { ok, rawBody, reason } = await verifyShopifyWebhookHmac(request);
+
+  if (!ok) {
+    logger.error(
+      "Webhook authentication failed",
+      {
+        reason,
+        method: request.method,
+        url: new URL(request.url).pathname,
+      },
+      "unknown"
+    );
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  // 2) Parse payload from verified raw body
+  let payload;
+  try {
+    payload = JSON.parse(rawBody || "{}");
+  } catch (e) {
+    logger.error(
+      "Webhook payload JSON parse failed",
+      { error: e?.message },
+      "unknown"
+    );
+    // Shopify will retry on 4xx/5xx.
+    // If payload is invalid, retry won't help, so respond 200.
+    return new Response("OK", { status: 200 });
+  }
+
+  // 3) Shop + topic from headers
+  const shop =
+    request.headers.get("x-shopify-shop-domain") ||
+    request.headers.get("X-Shopify-Shop-Domain") ||
+    "unknown";
+
+  const topic =
+    request.headers.get("x-shopify-topic") ||
+    request.headers.get("X-Shopify-Topic") ||
+    "orders/fulfilled";
+
+  const webhookId =
+    request.headers.get("x-shopify-webhook-id") ||
+    request.headers.get("X-Shopify-Webhook-Id");
+
+  logger.info(
+    `Received ${topic} webhook`,
+    {
+      orderId: payload?.id,
+      orderNumber: payload?.name,
+      webhookId,
+      fulfillmentStatus: payload?.fulfillment_status,
+    },
+    shop
+  );
+
+  // 4) Queue the payload and acknowledge right away (see queueWebhook)
+  try {
+    await queueWebhook({
+      shop,
+      topic: "orders/fulfilled",
+      webhookId,
+      payload,
+      rawBody,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to queue ${topic} webhook`,
+      {
+        error: error?.message,
+        orderId: payload?.id,
+      },
+      shop
+    );
+
+    return new Response("Failed to queue webhook", { status: 500 });
+  }
+
+  return new Response("OK", { status: 200 });
+};
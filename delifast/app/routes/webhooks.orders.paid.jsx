@@ -3,8 +3,8 @@
  * Triggered when an order is marked as paid in Shopify
  */
 
-import shopify, { verifyShopifyWebhookHmac } from "../shopify.server";
-import { handleOrderPaid } from "../services/orderHandler.server";
+import { verifyShopifyWebhookHmac } from "../shopify.server";
+import { queueWebhook } from "../services/webhookQueue.server";
 import { logger } from "../services/logger.server";
 
 export const action = async ({ request }) => {
@@ -50,56 +50,33 @@ export const action = async ({ request }) => {
     request.headers.get("X-Shopify-Topic") ||
     "orders/paid";
 
+  const webhookId =
+    request.headers.get("x-shopify-webhook-id") ||
+    request.headers.get("X-Shopify-Webhook-Id");
+
   logger.info(
     `Received ${topic} webhook`,
     {
       orderId: payload?.id,
       orderNumber: payload?.name,
+      webhookId,
       financialStatus: payload?.financial_status,
     },
     shop
   );
 
+  // 4) Queue the payload and acknowledge right away (see queueWebhook)
   try {
-    /**
-     * 4) Create an Admin API client using the OFFLINE session for this shop (recommended).
-     * Webhooks do NOT come with a browser session, so authenticate.admin() is not reliable here.
-     *
-     * The exact method name can vary by Shopify library version, but the idea is:
-     * - load offline session from sessionStorage
-     * - create admin client from that session
-     */
-    let admin = null;
-
-    try {
-      // Offline session id is usually: `offline_${shop}`
-      const offlineSessionId = `offline_${shop}`;
-      const session = await shopify.sessionStorage.loadSession(offlineSessionId);
-
-      if (session) {
-        const { admin: adminClient } = await shopify.api.clients.adminRest({
-          session,
-        });
-        admin = adminClient;
-      } else {
-        logger.info(
-          "No offline session found for shop (continuing without admin client)",
-          {},
-          shop
-        );
-      }
-    } catch (e) {
-      logger.info(
-        "Failed to build admin client from offline session (continuing without admin)",
-        { error: e?.message },
-        shop
-      );
-    }
-
-    await handleOrderPaid(shop, payload, admin);
+    await queueWebhook({
+      shop,
+      topic: "orders/paid",
+      webhookId,
+      payload,
+      rawBody,
+    });
   } catch (error) {
     logger.error(
-      `Error processing ${topic} webhook`,
+      `Failed to queue ${topic} webhook`,
       {
         error: error?.message,
         orderId: payload?.id,
@@ -107,8 +84,7 @@ export const action = async ({ request }) => {
       shop
     );
 
-    // Important: return 200 to prevent Shopify retry storms for errors you will handle internally.
-    return new Response("OK", { status: 200 });
+    return new Response("Failed to queue webhook", { status: 500 });
   }
 
   return new Response("OK", { status: 200 });
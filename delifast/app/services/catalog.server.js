@@ -0,0 +1,154 @@
+/**
+ * Catalog Service
+ * Keeps the Delifast city and area catalog in sync with the Delifast API
+ */
+
+import prisma from "../db.server";
+import { logger } from "./logger.server";
+import { getCities, getAreas } from "./delifastClient.server";
+
+/**
+ * Read the first present field from an API item
+ */
+function pick(item, fields) {
+  for (const field of fields) {
+    if (item?.[field] !== undefined && item[field] !== null && item[field] !== '') {
+      return item[field];
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize a city or area item from the Delifast API
+ * @returns {Object|null} { id, name, nameAr } or null if the item has no ID
+ */
+function normalizeCatalogItem(item) {
+  const id = parseInt(pick(item, ['Id', 'id', 'ID', 'CityId', 'cityId', 'AreaId', 'areaId']));
+  if (isNaN(id)) return null;
+
+  const name = pick(item, ['NameEn', 'nameEn', 'EnName', 'enName', 'Name', 'name']);
+  const nameAr = pick(item, ['NameAr', 'nameAr', 'ArName', 'arName']);
+
+  return {
+    id,
+    name: String(name || nameAr || id),
+    nameAr: nameAr ? String(nameAr) : null,
+  };
+}
+
+/**
+ * Fetch cities and areas from Delifast and store them.
+ * Entries that are no longer returned are deactivated, not deleted,
+ * so stored settings that reference them keep working.
+ * @param {string} shop - Shop whose Delifast credentials are used
+ * @returns {Object} { cities, areas } counts
+ */
+export async function syncCatalog(shop) {
+  logger.info('Syncing Delifast city/area catalog', null, shop);
+
+  const syncedAt = new Date();
+  const cities = (await getCities(shop)).map(normalizeCatalogItem).filter(Boolean);
+
+  if (cities.length === 0) {
+    throw new Error('Delifast returned no cities');
+  }
+
+  let areaCount = 0;
+
+  for (const city of cities) {
+    await prisma.delifastCity.upsert({
+      where: { id: city.id },
+      update: { name: city.name, nameAr: city.nameAr, active: true, syncedAt },
+      create: { ...city, syncedAt },
+    });
+
+    const areas = (await getAreas(shop, city.id)).map(normalizeCatalogItem).filter(Boolean);
+
+    for (const area of areas) {
+      await prisma.delifastArea.upsert({
+        where: { id: area.id },
+        update: { cityId: city.id, name: area.name, nameAr: area.nameAr, active: true, syncedAt },
+        create: { ...area, cityId: city.id, syncedAt },
+      });
+    }
+
+    areaCount += areas.length;
+  }
+
+  // Deactivate entries Delifast no longer returns
+  await prisma.delifastArea.updateMany({
+    where: { syncedAt: { lt: syncedAt } },
+    data: { active: false },
+  });
+  await prisma.delifastCity.updateMany({
+    where: { syncedAt: { lt: syncedAt } },
+    data: { active: false },
+  });
+
+  logger.info('Delifast catalog synced', { cities: cities.length, areas: areaCount }, shop);
+
+  return { cities: cities.length, areas: areaCount };
+}
+
+/**
+ * Sync the catalog using the first store whose credentials work
+ * Should be run daily via external cron
+ */
+export async function syncCatalogFromAnyStore() {
+  const stores = await prisma.storeSettings.findMany({
+    where: {
+      delifastUsername: { not: null },
+      delifastPassword: { not: null },
+    },
+    select: { shop: true },
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  for (const { shop } of stores) {
+    try {
+      return { shop, ...(await syncCatalog(shop)) };
+    } catch (error) {
+      logger.warning('Catalog sync failed with store credentials, trying next store', {
+        error: error?.message,
+      }, shop);
+    }
+  }
+
+  throw new Error('No store could sync the Delifast catalog');
+}
+
+/**
+ * Get the active city catalog with areas
+ * @returns {Array} Cities: [{ id, name, nameAr, areas: [{ id, name, nameAr }] }]
+ */
+export async function getCityCatalog() {
+  return prisma.delifastCity.findMany({
+    where: { active: true },
+    orderBy: { name: 'asc' },
+    select: {
+      id: true,
+      name: true,
+      nameAr: true,
+      areas: {
+        where: { active: true },
+        orderBy: { name: 'asc' },
+        select: { id: true, name: true, nameAr: true },
+      },
+    },
+  });
+}
+
+/**
+ * Get when the catalog was last synced
+ * @returns {Date|null} Last sync time
+ */
+export async function getCatalogSyncedAt() {
+  const latest = await prisma.delifastCity.findFirst({
+    where: { active: true },
+    orderBy: { syncedAt: 'desc' },
+    select: { syncedAt: true },
+  });
+
+  return latest?.syncedAt || null;
+}
@@ -21,16 +21,49 @@ export const config = {
       cancelShipment: '/Customer/CancelShipment',
       getPaymentMethods: '/Customer/GetPaymentMethods',
     },
+    // Public tracking page, {shipmentId} is replaced with the Delifast shipment number
+    trackingUrl: 'https://portal.delifast.ae/Tracking?ShNo={shipmentId}',
+    trackingCompany: 'Delifast',
     tokenExpiryHours: 24,
     tokenRefreshMinutes: 30, // Refresh 30 min before expiry
+    requestTimeoutSeconds: 60, // Keep well under jobs.orderLockMinutes so a send can't outlive its lock
   },
 
   // Encryption key for storing credentials
   encryptionKey: process.env.ENCRYPTION_KEY || 'delifast_shopify_app_default_key_change_in_production',
 
+  // Area matching (address text -> Delifast area), scores are 0-1
+  areaMatching: {
+    minScore: 0.6, // Below this no area is sent
+    confidentScore: 0.85, // Below this the match is flagged for review and not sent
+  },
+
+  // Variant options cache (product lines)
+  variantOptions: {
+    cacheMinutes: 60, // Option renames show up after this long
+    cacheMaxEntries: 5000, // Oldest variants are evicted beyond this
+  },
+
   // Job settings
   jobs: {
     maxLookupAttempts: 24, // Max attempts to find real shipment ID
     lookupIntervalMinutes: 60, // Time between lookup attempts
+
+    // Webhook queue
+    webhookMaxAttempts: 8, // Attempts before a job is dead-lettered
+    webhookRetryBaseMinutes: 1, // First retry delay, doubled on every attempt
+    webhookRetryMaxMinutes: 360, // Backoff cap
+    webhookBatchSize: 25, // Jobs processed per worker run
+    webhookLockMinutes: 10, // Processing jobs older than this are considered crashed
+    webhookRetentionDays: 7, // Completed jobs kept for inspection
+    webhookIdRetentionDays: 7, // Delivery IDs kept for duplicate detection (Shopify retries for 48h)
+    orderLockMinutes: 5, // Send locks older than this are considered crashed (see delifast.requestTimeoutSeconds)
+
+    // Scheduled sends
+    scheduledMaxAttempts: 6, // Failed sends retried before the order is left as an error
+    scheduledRetryMinutes: 60, // Time between retries of a failed scheduled send
+
+    // Maintenance
+    tagRepairBatchSize: 50, // Orders re-tagged per Repair Tags run
   },
 };
@@ -47,7 +47,10 @@ async function makeRequest(shop, method, endpoint, data = null, params = null) {
   }, shop);
 
   try {
-    const response = await fetch(url, requestConfig);
+    const response = await fetch(url, {
+      ...requestConfig,
+      signal: AbortSignal.timeout(config.delifast.requestTimeoutSeconds * 1000),
+    });
     const responseData = await response.json();
 
     logger.debug('Delifast API response', {
@@ -64,7 +67,10 @@ async function makeRequest(shop, method, endpoint, data = null, params = null) {
         const newToken = await login(shop);
 
         requestConfig.headers['Authorization'] = `Bearer ${newToken}`;
-        const retryResponse = await fetch(url, requestConfig);
+        const retryResponse = await fetch(url, {
+          ...requestConfig,
+          signal: AbortSignal.timeout(config.delifast.requestTimeoutSeconds * 1000),
+        });
         return retryResponse.json();
       }
 
@@ -370,6 +376,14 @@ export async function cancelShipment(shop, shipmentNo) {
     { ShipmentNo: shipmentNo }
   );
 
+  // Delifast answers 200 with success=false when the parcel can no longer be cancelled
+  if (result?.success === false || result?.Success === false) {
+    const message = result.message || result.Message || 'Cancellation rejected by Delifast';
+    logger.warning('Shipment cancellation rejected', { shipmentNo, message }, shop);
+    throw new Error(message);
+  }
+
+  logger.info('Shipment cancelled', { shipmentNo }, shop);
   return result;
 }
 
@@ -0,0 +1,383 @@
+/**
+ * Fulfillment Service
+ * Creates Shopify fulfillments for Delifast shipments and keeps their events in sync
+ */
+
+import prisma from "../db.server";
+import { config } from "./config.server";
+import { logger } from "./logger.server";
+import { shopifyStatusMap, isTemporaryId } from "../utils/statusMapping";
+
+/**
+ * Fulfillment order statuses that can still receive a fulfillment
+ */
+const OPEN_FULFILLMENT_ORDER_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+/**
+ * Build the public tracking URL for a shipment
+ * @param {string} shipmentId - Delifast shipment number
+ * @returns {string} Tracking URL
+ */
+export function getTrackingUrl(shipmentId) {
+  return config.delifast.trackingUrl.replace('{shipmentId}', encodeURIComponent(shipmentId));
+}
+
+/**
+ * Fulfillment IDs recorded on a shipment (one per fulfillment location)
+ * @param {Object} shipment - Shipment record
+ * @returns {string[]} Shopify Fulfillment GIDs
+ */
+function getFulfillmentIds(shipment) {
+  return String(shipment?.fulfillmentId || '')
+    .split(',')
+    .filter(Boolean);
+}
+
+/**
+ * Group fulfillment orders by assigned location - Shopify only accepts
+ * fulfillment orders of one location in a single fulfillmentCreate
+ */
+function groupByLocation(fulfillmentOrders) {
+  const groups = new Map();
+
+  for (const fo of fulfillmentOrders) {
+    const locationId = fo.assignedLocation?.location?.id || fo.id;
+    groups.set(locationId, [...(groups.get(locationId) || []), fo]);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Run an Admin GraphQL request and return its data, throwing on top-level errors
+ */
+async function runGraphql(admin, query, variables) {
+  const response = await admin.graphql(query, { variables });
+  const body = await response.json();
+
+  if (body.errors?.length) {
+    throw new Error(body.errors.map(e => e.message).join(', '));
+  }
+
+  return body.data;
+}
+
+/**
+ * Throw if a mutation payload returned user errors
+ */
+function assertNoUserErrors(payload, action) {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(`${action} failed: ${userErrors.map(e => e.message).join(', ')}`);
+  }
+}
+
+/**
+ * Load fulfillment orders and existing fulfillments for an order
+ */
+async function getOrderFulfillmentState(admin, shopifyOrderId) {
+  const data = await runGraphql(
+    admin,
+    `#graphql
+    query getOrderFulfillmentState($id: ID!) {
+      order(id: $id) {
+        id
+        fulfillmentOrders(first: 20) {
+          nodes {
+            id
+            status
+            supportedActions { action }
+            assignedLocation { location { id } }
+          }
+        }
+        fulfillments(first: 20) {
+          id
+          status
+          createdAt
+        }
+      }
+    }`,
+    { id: `gid://shopify/Order/${shopifyOrderId}` }
+  );
+
+  if (!data?.order) {
+    throw new Error('Order not found in Shopify');
+  }
+
+  return data.order;
+}
+
+/**
+ * Create a fulfillment for a shipment, or attach tracking to an existing one
+ * Fulfillment orders still open after an earlier partial run (one location
+ * failed) are fulfilled on the next call.
+ * @param {string} shop - Shop domain
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} shipment - Shipment record
+ * @returns {string|null} Shopify fulfillment IDs, comma-separated
+ */
+export async function createShipmentFulfillment(shop, admin, shipment) {
+  if (!shipment.shipmentId || shipment.isTemporaryId || isTemporaryId(shipment.shipmentId)) {
+    logger.debug('Skipping fulfillment for temporary shipment ID', {
+      orderId: shipment.shopifyOrderId,
+      shipmentId: shipment.shipmentId,
+    }, shop);
+    return null;
+  }
+
+  const trackingInfo = {
+    company: config.delifast.trackingCompany,
+    number: shipment.shipmentId,
+    url: getTrackingUrl(shipment.shipmentId),
+  };
+
+  const order = await getOrderFulfillmentState(admin, shipment.shopifyOrderId);
+
+  const openFulfillmentOrders = order.fulfillmentOrders.nodes.filter(fo =>
+    OPEN_FULFILLMENT_ORDER_STATUSES.includes(fo.status) &&
+    fo.supportedActions.some(a => a.action === 'CREATE_FULFILLMENT')
+  );
+
+  const recordedIds = getFulfillmentIds(shipment);
+  let fulfillmentId = null;
+
+  if (openFulfillmentOrders.length === 0 && recordedIds.length > 0) {
+    return shipment.fulfillmentId;
+  }
+
+  if (openFulfillmentOrders.length > 0) {
+    // One fulfillment per location; the customer is notified once
+    const fulfillmentIds = [...recordedIds];
+
+    for (const [index, group] of groupByLocation(openFulfillmentOrders).entries()) {
+      let data;
+      try {
+        data = await runGraphql(
+          admin,
+          `#graphql
+          mutation createDelifastFulfillment($fulfillment: FulfillmentInput!) {
+            fulfillmentCreate(fulfillment: $fulfillment) {
+              fulfillment { id status }
+              userErrors { field message }
+            }
+          }`,
+          {
+            fulfillment: {
+              lineItemsByFulfillmentOrder: group.map(fo => ({
+                fulfillmentOrderId: fo.id,
+              })),
+              notifyCustomer: recordedIds.length === 0 && index === 0,
+              trackingInfo,
+            },
+          }
+        );
+
+        assertNoUserErrors(data.fulfillmentCreate, 'fulfillmentCreate');
+      } catch (error) {
+        // Keep the fulfillments already created so they aren't created twice
+        if (fulfillmentIds.length > recordedIds.length) {
+          await prisma.shipment.update({
+            where: { id: shipment.id },
+            data: { fulfillmentId: fulfillmentIds.join(',') },
+          });
+        }
+        throw error;
+      }
+
+      fulfillmentIds.push(data.fulfillmentCreate.fulfillment.id);
+    }
+
+    fulfillmentId = fulfillmentIds.join(',');
+
+    logger.info('Created Shopify fulfillment', {
+      orderId: shipment.shopifyOrderId,
+      shipmentId: shipment.shipmentId,
+      fulfillmentIds: fulfillmentIds.slice(recordedIds.length),
+      previousFulfillmentIds: recordedIds,
+    }, shop);
+  } else {
+    // Order was already fulfilled in Shopify - attach tracking to the latest fulfillment
+    const existing = order.fulfillments
+      .filter(f => f.status === 'SUCCESS')
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+    if (!existing) {
+      logger.debug('No open fulfillment orders to fulfill', {
+        orderId: shipment.shopifyOrderId,
+      }, shop);
+      return null;
+    }
+
+    const data = await runGraphql(
+      admin,
+      `#graphql
+      mutation updateDelifastTracking($fulfillmentId: ID!, $trackingInfoInput: FulfillmentTrackingInput!) {
+        fulfillmentTrackingInfoUpdate(fulfillmentId: $fulfillmentId, trackingInfoInput: $trackingInfoInput, notifyCustomer: true) {
+          fulfillment { id }
+          userErrors { field message }
+        }
+      }`,
+      {
+        fulfillmentId: existing.id,
+        trackingInfoInput: trackingInfo,
+      }
+    );
+
+    assertNoUserErrors(data.fulfillmentTrackingInfoUpdate, 'fulfillmentTrackingInfoUpdate');
+    fulfillmentId = existing.id;
+
+    logger.info('Added Delifast tracking to existing fulfillment', {
+      orderId: shipment.shopifyOrderId,
+      shipmentId: shipment.shipmentId,
+      fulfillmentId,
+    }, shop);
+  }
+
+  await prisma.shipment.update({
+    where: { id: shipment.id },
+    data: { fulfillmentId },
+  });
+
+  return fulfillmentId;
+}
+
+/**
+ * Post a fulfillment event for the shipment's current status
+ * @param {string} shop - Shop domain
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} shipment - Shipment record (with fulfillmentId)
+ * @param {string} status - Simplified Delifast status
+ * @returns {boolean} Whether an event was posted
+ */
+export async function postFulfillmentEvent(shop, admin, shipment, status) {
+  const fulfillmentStatus = shopifyStatusMap[status]?.fulfillmentStatus;
+
+  if (!shipment.fulfillmentId || !fulfillmentStatus) {
+    return false;
+  }
+
+  // Only post each event once
+  if (shipment.fulfillmentStatus === fulfillmentStatus) {
+    return false;
+  }
+
+  for (const fulfillmentId of getFulfillmentIds(shipment)) {
+    const data = await runGraphql(
+      admin,
+      `#graphql
+      mutation createDelifastFulfillmentEvent($fulfillmentEvent: FulfillmentEventInput!) {
+        fulfillmentEventCreate(fulfillmentEvent: $fulfillmentEvent) {
+          fulfillmentEvent { id status }
+          userErrors { field message }
+        }
+      }`,
+      {
+        fulfillmentEvent: {
+          fulfillmentId,
+          status: fulfillmentStatus.toUpperCase(),
+        },
+      }
+    );
+
+    assertNoUserErrors(data.fulfillmentEventCreate, 'fulfillmentEventCreate');
+  }
+
+  await prisma.shipment.update({
+    where: { id: shipment.id },
+    data: { fulfillmentStatus },
+  });
+
+  logger.info('Posted fulfillment event', {
+    orderId: shipment.shopifyOrderId,
+    fulfillmentId: shipment.fulfillmentId,
+    event: fulfillmentStatus,
+  }, shop);
+
+  return true;
+}
+
+/**
+ * Ensure the shipment has a Shopify fulfillment and its latest event is posted.
+ * Errors are logged and swallowed so Delifast state is never rolled back
+ * because of a Shopify failure.
+ * @param {string} shop - Shop domain
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} shipment - Shipment record
+ */
+export async function syncShipmentFulfillment(shop, admin, shipment) {
+  if (!admin || !shipment) return;
+
+  try {
+    const fulfillmentId = await createShipmentFulfillment(shop, admin, shipment);
+
+    if (fulfillmentId) {
+      // Fulfillments added since the last event haven't received it yet
+      const fulfillmentStatus = fulfillmentId === shipment.fulfillmentId
+        ? shipment.fulfillmentStatus
+        : null;
+      await postFulfillmentEvent(shop, admin, { ...shipment, fulfillmentId, fulfillmentStatus }, shipment.status);
+    }
+  } catch (error) {
+    const context = {
+      orderId: shipment.shopifyOrderId,
+      shipmentId: shipment.shipmentId,
+      error: error?.message,
+    };
+
+    // Without the fulfillment order scopes no fulfillment is ever created -
+    // log it as an error so it shows up in the Activity Logs
+    if (/access denied|access scope/i.test(error?.message || '')) {
+      logger.error('Failed to sync Shopify fulfillment, the app is missing the fulfillment order scopes', context, shop);
+    } else {
+      logger.warning('Failed to sync Shopify fulfillment', context, shop);
+    }
+  }
+}
+
+/**
+ * Cancel the Shopify fulfillment created for a shipment
+ * @param {string} shop - Shop domain
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} shipment - Shipment record
+ * @returns {boolean} Whether a fulfillment was cancelled
+ */
+export async function cancelShipmentFulfillment(shop, admin, shipment) {
+  if (!admin || !shipment?.fulfillmentId) return false;
+
+  try {
+    for (const fulfillmentId of getFulfillmentIds(shipment)) {
+      const data = await runGraphql(
+        admin,
+        `#graphql
+        mutation cancelDelifastFulfillment($id: ID!) {
+          fulfillmentCancel(id: $id) {
+            fulfillment { id status }
+            userErrors { field message }
+          }
+        }`,
+        { id: fulfillmentId }
+      );
+
+      assertNoUserErrors(data.fulfillmentCancel, 'fulfillmentCancel');
+    }
+
+    await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: { fulfillmentId: null, fulfillmentStatus: null },
+    });
+
+    logger.info('Cancelled Shopify fulfillment', {
+      orderId: shipment.shopifyOrderId,
+      fulfillmentId: shipment.fulfillmentId,
+    }, shop);
+
+    return true;
+  } catch (error) {
+    logger.warning('Failed to cancel Shopify fulfillment', {
+      orderId: shipment.shopifyOrderId,
+      fulfillmentId: shipment.fulfillmentId,
+      error: error?.message,
+    }, shop);
+    return false;
+  }
+}
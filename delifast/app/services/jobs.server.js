@@ -1,12 +1,17 @@
 /**
  * Background Jobs Service
- * Handles scheduled tasks for status sync, temp ID resolution, and pending orders
+ * Handles scheduled tasks for status sync, temp ID resolution, pending orders,
+ * and sending orders scheduled for a delivery date
  */
 
 import prisma from "../db.server";
 import { logger } from "./logger.server";
 import { delifastClient } from "./delifastClient.server";
 import { config } from "./config.server";
+import { syncShipmentFulfillment } from "./fulfillment.server";
+import { setDelifastStatusTag, sendOrderToDelifast } from "./orderHandler.server";
+import { fetchOrder } from "./shopifyOrders.server";
+import { getOfflineAdmin } from "../shopify.server";
 import { isTemporaryId } from "../utils/statusMapping";
 
 /**
@@ -72,12 +77,15 @@ export async function syncStoreStatuses(shop) {
   let synced = 0;
   let failed = 0;
 
+  // Admin client for tags and fulfillment events (null if the shop has no offline session)
+  const admin = await getOfflineAdmin(shop);
+
   for (const shipment of shipments) {
     try {
       const statusResult = await delifastClient.getShipmentStatus(shop, shipment.shipmentId);
 
       if (statusResult.success && statusResult.status !== shipment.status) {
-        await prisma.shipment.update({
+        const updatedShipment = await prisma.shipment.update({
           where: { id: shipment.id },
           data: {
             status: statusResult.status,
@@ -92,6 +100,19 @@ export async function syncStoreStatuses(shop) {
           newStatus: statusResult.status,
         }, shop);
 
+        if (admin) {
+          try {
+            await setDelifastStatusTag(admin, shipment.shopifyOrderId, statusResult.status);
+          } catch (tagError) {
+            logger.warning('Failed to update status tag', {
+              orderId: shipment.shopifyOrderId,
+              error: tagError.message,
+            }, shop);
+          }
+        }
+
+        await syncShipmentFulfillment(shop, admin, updatedShipment);
+
         synced++;
       }
     } catch (error) {
@@ -173,6 +194,9 @@ export async function updateStoreTempIds(shop) {
   let updated = 0;
   let failed = 0;
 
+  // Admin client for creating fulfillments (null if the shop has no offline session)
+  const admin = await getOfflineAdmin(shop);
+
   for (const shipment of shipments) {
     try {
       // Lookup real shipment ID by order number
@@ -183,7 +207,7 @@ export async function updateStoreTempIds(shop) {
 
       if (realShipmentId && !isTemporaryId(realShipmentId)) {
         // Found real ID
-        await prisma.shipment.update({
+        const updatedShipment = await prisma.shipment.update({
           where: { id: shipment.id },
           data: {
             shipmentId: realShipmentId,
@@ -200,6 +224,8 @@ export async function updateStoreTempIds(shop) {
           newId: realShipmentId,
         }, shop);
 
+        await syncShipmentFulfillment(shop, admin, updatedShipment);
+
         updated++;
       } else {
         // Not found, schedule next lookup
@@ -314,3 +340,167 @@ export async function checkStorePendingOrders(shop) {
 
   return { found: stuckShipments.length };
 }
+
+/**
+ * Send orders whose scheduled send day has come, for all stores
+ * Should be run hourly via external cron
+ */
+export async function sendAllScheduledOrders() {
+  logger.info('Starting scheduled orders send for all stores');
+
+  const due = await prisma.shipment.groupBy({
+    by: ['shop'],
+    where: {
+      status: 'scheduled',
+      scheduledFor: { lte: new Date() },
+    },
+  });
+
+  let totalSent = 0;
+  let totalFailed = 0;
+
+  for (const { shop } of due) {
+    try {
+      const result = await sendStoreScheduledOrders(shop);
+      totalSent += result.sent;
+      totalFailed += result.failed;
+    } catch (error) {
+      logger.error('Failed to send scheduled orders for store', {
+        shop,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info('Scheduled orders send completed', { totalSent, totalFailed, stores: due.length });
+
+  return { totalSent, totalFailed, storesProcessed: due.length };
+}
+
+/**
+ * Put a failed scheduled send back in the schedule for a later run
+ * After config.jobs.scheduledMaxAttempts failures the order is left with the
+ * error status so it can be resent from the Orders page.
+ */
+async function retryScheduledSend(shop, shipment, error) {
+  const attempts = shipment.sendAttempts + 1;
+  const { scheduledMaxAttempts, scheduledRetryMinutes } = config.jobs;
+
+  if (attempts >= scheduledMaxAttempts) {
+    await prisma.shipment.updateMany({
+      where: { id: shipment.id, shipmentId: null },
+      data: {
+        sendAttempts: attempts,
+        statusDetails: `Scheduled send failed ${attempts} times: ${error.message}`,
+      },
+    });
+
+    logger.error('Scheduled order failed too often, giving up', {
+      orderId: shipment.shopifyOrderId,
+      attempts,
+      error: error.message,
+    }, shop);
+    return;
+  }
+
+  // Only while nothing was sent: a failure after createShipment is a real shipment
+  await prisma.shipment.updateMany({
+    where: { id: shipment.id, shipmentId: null },
+    data: {
+      status: 'scheduled',
+      statusDetails: `Send failed (attempt ${attempts} of ${scheduledMaxAttempts}), retrying: ${error.message}`,
+      scheduledFor: new Date(Date.now() + scheduledRetryMinutes * 60 * 1000),
+      sendAttempts: attempts,
+    },
+  });
+
+  logger.warning('Failed to send scheduled order, will retry', {
+    orderId: shipment.shopifyOrderId,
+    attempts,
+    error: error.message,
+  }, shop);
+}
+
+/**
+ * Send due scheduled orders for a single store
+ * Each order is re-read from Shopify so edits and cancellations since it was
+ * scheduled are respected.
+ * @param {string} shop - Shop domain
+ */
+export async function sendStoreScheduledOrders(shop) {
+  const shipments = await prisma.shipment.findMany({
+    where: {
+      shop,
+      status: 'scheduled',
+      scheduledFor: { lte: new Date() },
+    },
+    orderBy: { scheduledFor: 'asc' },
+  });
+
+  if (shipments.length === 0) {
+    return { sent: 0, failed: 0 };
+  }
+
+  // Dry run: nothing is sent, due orders stay scheduled until it is turned off
+  const settings = await prisma.storeSettings.findUnique({
+    where: { shop },
+    select: { mode: true, dryRun: true },
+  });
+
+  if (settings?.mode === 'auto' && settings.dryRun) {
+    logger.info('Dry run: scheduled orders not sent', {
+      count: shipments.length,
+      orderIds: shipments.map(s => s.shopifyOrderId),
+    }, shop);
+    return { sent: 0, failed: 0 };
+  }
+
+  const admin = await getOfflineAdmin(shop);
+  if (!admin) {
+    logger.warning('No offline session, scheduled orders not sent', {
+      count: shipments.length,
+    }, shop);
+    return { sent: 0, failed: shipments.length };
+  }
+
+  logger.info(`Sending ${shipments.length} scheduled orders`, null, shop);
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const shipment of shipments) {
+    try {
+      const order = await fetchOrder(admin, shipment.shopifyOrderId);
+
+      if (order.cancelled_at) {
+        await prisma.shipment.update({
+          where: { id: shipment.id },
+          data: {
+            status: 'cancelled',
+            statusDetails: 'Shopify order cancelled before its scheduled send',
+          },
+        });
+        continue;
+      }
+
+      const result = await sendOrderToDelifast(shop, order, admin);
+
+      if (result.cancelled) {
+        continue;
+      }
+
+      if (result.held || result.scheduled) {
+        // Held: recorded on the shipment; scheduled: the delivery date was moved
+        failed += result.held ? 1 : 0;
+        continue;
+      }
+
+      sent++;
+    } catch (error) {
+      failed++;
+      await retryScheduledSend(shop, shipment, error);
+    }
+  }
+
+  return { sent, failed };
+}
@@ -5,13 +5,22 @@
 
 import prisma from "../db.server";
 import { logger } from "./logger.server";
+import { config } from "./config.server";
 import { delifastClient } from "./delifastClient.server";
-import { prepareOrderDataForDelifast, shouldAutoSend } from "./orderMapper.server";
+import { prepareShipmentData, shouldAutoSend } from "./orderMapper.server";
+import { syncShipmentFulfillment, cancelShipmentFulfillment } from "./fulfillment.server";
+import { getCityCatalog } from "./catalog.server";
+import { fetchOrderBalance } from "./shopifyOrders.server";
 import {
   getShopifyTag,
+  getAllDelifastTags,
   generateTemporaryId,
-  isTemporaryId
+  isTemporaryId,
+  isCancellableStatus
 } from "../utils/statusMapping";
+import { validateOrderData, hasBlockingIssues } from "../utils/orderValidation";
+import { startOfLocalDay } from "../utils/deliverySchedule";
+import { getCityName } from "../utils/cityMapping";
 
 /**
  * Safely derive a STRING order number for DB + logs.
@@ -28,6 +37,143 @@ function getOrderNumberString(order) {
   return "";
 }
 
+/**
+ * Replace the Delifast status tag on a Shopify order.
+ * Removes every other delifast-* status tag and adds the current one in a
+ * single request, so orders never carry more than one status tag.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shopifyOrderId - Shopify order ID
+ * @param {string} status - Simplified Delifast status
+ * @param {string[]} extraTags - Additional tags to add (e.g. "delifast-sent")
+ */
+export async function setDelifastStatusTag(admin, shopifyOrderId, status, extraTags = []) {
+  const currentTag = getShopifyTag(status);
+  const staleTags = getAllDelifastTags().filter((tag) => tag !== currentTag);
+
+  const response = await admin.graphql(
+    `#graphql
+    mutation replaceDelifastStatusTag($id: ID!, $remove: [String!]!, $add: [String!]!) {
+      tagsRemove(id: $id, tags: $remove) {
+        userErrors { field message }
+      }
+      tagsAdd(id: $id, tags: $add) {
+        node { ... on Order { id tags } }
+        userErrors { field message }
+      }
+    }`,
+    {
+      variables: {
+        id: `gid://shopify/Order/${shopifyOrderId}`,
+        remove: staleTags,
+        add: [currentTag, ...extraTags],
+      },
+    }
+  );
+
+  const body = await response.json();
+  const userErrors = [
+    ...(body?.data?.tagsRemove?.userErrors || []),
+    ...(body?.data?.tagsAdd?.userErrors || []),
+  ];
+
+  if (body?.errors?.length || userErrors.length) {
+    const messages = [...(body?.errors || []), ...userErrors].map((e) => e.message);
+    throw new Error(`Failed to replace status tag: ${messages.join(", ")}`);
+  }
+}
+
+/**
+ * Check whether an order already has a Delifast shipment
+ * A retried webhook whose send got past Delifast but not past the Shopify
+ * updates (status tag, fulfillment) resumes those instead of sending again.
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Shopify order data
+ * @param {Object} admin - Shopify Admin API client (optional)
+ * @returns {boolean} True if a shipment ID is already recorded
+ */
+async function isAlreadySent(shop, order, admin = null) {
+  const existing = await prisma.shipment.findUnique({
+    where: {
+      shop_shopifyOrderId: {
+        shop,
+        shopifyOrderId: String(order.id),
+      },
+    },
+  });
+
+  if (existing?.shipmentId) {
+    logger.debug(
+      "Order already sent to Delifast",
+      {
+        orderId: order.id,
+        shipmentId: existing.shipmentId,
+      },
+      shop
+    );
+
+    const tags = String(order.tags || "").split(",").map((tag) => tag.trim());
+    const missingTag = !tags.includes(getShopifyTag(existing.status));
+    const missingFulfillment = !existing.fulfillmentId && !existing.isTemporaryId;
+
+    if (admin && (missingTag || missingFulfillment)) {
+      logger.info(
+        "Resuming Shopify updates for sent order",
+        { orderId: order.id, missingTag, missingFulfillment },
+        shop
+      );
+      await updateShopifyOrder(shop, admin, existing);
+    }
+
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Send an order that passed the auto-send checks
+ * In dry-run mode the shipment is only prepared and logged, nothing is sent.
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Shopify order data
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} trigger - "created", "paid" or "fulfilled"
+ */
+async function autoSendOrder(shop, order, admin, trigger) {
+  const settings = await prisma.storeSettings.findUnique({
+    where: { shop },
+    select: { dryRun: true },
+  });
+
+  if (!settings?.dryRun) {
+    await sendOrderToDelifast(shop, order, admin);
+    return;
+  }
+
+  try {
+    const preview = await previewShipment(shop, order, admin);
+
+    logger.info(
+      "Dry run: order would be sent to Delifast",
+      {
+        orderId: order.id,
+        orderNumber: order.name,
+        trigger,
+        result: preview.wouldHold ? "held" : preview.wouldSchedule ? "scheduled" : "sent",
+        cityName: preview.cityName,
+        issues: preview.issues,
+        orderData: preview.orderData,
+      },
+      shop
+    );
+  } catch (error) {
+    logger.warning(
+      "Dry run: order could not be prepared",
+      { orderId: order.id, trigger, error: error?.message },
+      shop
+    );
+  }
+}
+
 /**
  * Handle order created webhook
  * @param {string} shop - Shop domain
@@ -44,9 +190,14 @@ export async function handleOrderCreated(shop, order, admin) {
     shop
   );
 
+  // A retried webhook may find the order already sent
+  if (await isAlreadySent(shop, order, admin)) {
+    return;
+  }
+
   // Check if should auto-send on create
   if (await shouldAutoSend(shop, order, "created")) {
-    await sendOrderToDelifast(shop, order, admin);
+    await autoSendOrder(shop, order, admin, "created");
   }
 }
 
@@ -67,30 +218,103 @@ export async function handleOrderPaid(shop, order, admin) {
   );
 
   // Check if already sent
-  const existing = await prisma.shipment.findUnique({
-    where: {
-      shop_shopifyOrderId: {
-        shop,
-        shopifyOrderId: String(order.id),
-      },
+  if (await isAlreadySent(shop, order, admin)) {
+    return;
+  }
+
+  // Check if should auto-send on paid
+  if (await shouldAutoSend(shop, order, "paid")) {
+    await autoSendOrder(shop, order, admin, "paid");
+  }
+}
+
+/**
+ * Handle order fulfilled webhook
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Shopify order data
+ * @param {Object} admin - Shopify Admin API client
+ */
+export async function handleOrderFulfilled(shop, order, admin) {
+  logger.info(
+    "Processing order fulfilled",
+    {
+      orderId: order.id,
+      orderNumber: order.name,
+      fulfillmentStatus: order.fulfillment_status,
     },
-  });
+    shop
+  );
 
-  if (existing?.shipmentId) {
-    logger.debug(
-      "Order already sent to Delifast",
-      {
-        orderId: order.id,
-        shipmentId: existing.shipmentId,
+  // Our own fulfillments also trigger orders/fulfilled - never send twice
+  if (await isAlreadySent(shop, order, admin)) {
+    return;
+  }
+
+  // Check if should auto-send on fulfilled
+  if (await shouldAutoSend(shop, order, "fulfilled")) {
+    await autoSendOrder(shop, order, admin, "fulfilled");
+  }
+}
+
+/**
+ * Handle order cancelled webhook
+ * Cancels the linked Delifast shipment if it has not been picked up yet.
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Shopify order data
+ * @param {Object} admin - Shopify Admin API client
+ */
+export async function handleOrderCancelled(shop, order, admin) {
+  const orderId = String(order.id);
+
+  logger.info(
+    "Processing order cancelled",
+    {
+      orderId,
+      orderNumber: order.name,
+      cancelReason: order.cancel_reason,
+    },
+    shop
+  );
+
+  const shipment = await getShipment(shop, orderId);
+
+  // Not sent yet (held, scheduled or failed) - make sure it can't be sent or resent
+  if (shipment && !shipment.shipmentId && shipment.status !== "cancelled") {
+    await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: {
+        status: "cancelled",
+        statusDetails: `Shopify order cancelled before it was sent (was ${shipment.status})`,
       },
-      shop
-    );
+    });
+    logger.info("Unsent order cancelled", { orderId, previousStatus: shipment.status }, shop);
+
+    if (admin) {
+      try {
+        await setDelifastStatusTag(admin, orderId, "cancelled");
+      } catch (error) {
+        logger.warning("Failed to tag cancelled order", { orderId, error: error?.message }, shop);
+      }
+    }
     return;
   }
 
-  // Check if should auto-send on paid
-  if (await shouldAutoSend(shop, order, "paid")) {
-    await sendOrderToDelifast(shop, order, admin);
+  if (!shipment?.shipmentId) {
+    logger.debug("Cancelled order has no Delifast shipment", { orderId }, shop);
+    return;
+  }
+
+  if (shipment.status === "cancelled") {
+    logger.debug("Delifast shipment already cancelled", { orderId }, shop);
+    return;
+  }
+
+  try {
+    await cancelOrderShipment(shop, orderId, admin, {
+      reason: `Shopify order cancelled${order.cancel_reason ? ` (${order.cancel_reason})` : ""}`,
+    });
+  } catch {
+    // Already logged by cancelOrderShipment - the order stays cancelled in Shopify
   }
 }
 
@@ -105,14 +329,419 @@ export async function handleOrderUpdated(shop, order) {
   logger.debug("Order updated", { orderId: order.id }, shop);
 }
 
+/**
+ * Claim the send lock for an order.
+ * The unique (shop, shopifyOrderId) row acts as a mutex across processes;
+ * locks left behind by a crashed send expire after config.jobs.orderLockMinutes.
+ * Delifast requests time out well before that, so a live send never loses its lock.
+ * @returns {number|null} ID of the lock row this caller now holds, null if locked
+ */
+export async function claimOrderSend(shop, shopifyOrderId) {
+  const tryCreate = async () => {
+    try {
+      const lock = await prisma.orderSendLock.create({ data: { shop, shopifyOrderId } });
+      return lock.id;
+    } catch (error) {
+      if (error?.code === "P2002") return null;
+      throw error;
+    }
+  };
+
+  const lockId = await tryCreate();
+  if (lockId) return lockId;
+
+  // Take over a stale lock
+  const staleBefore = new Date(Date.now() - config.jobs.orderLockMinutes * 60 * 1000);
+  const { count } = await prisma.orderSendLock.deleteMany({
+    where: { shop, shopifyOrderId, lockedAt: { lt: staleBefore } },
+  });
+
+  return count > 0 ? tryCreate() : null;
+}
+
+/**
+ * Release a send lock claimed by claimOrderSend
+ * Only the caller's own row is removed: if the lock was taken over as stale,
+ * the new holder's lock is left alone.
+ * @param {number} lockId - Lock row ID returned by claimOrderSend
+ */
+export async function releaseOrderSend(lockId) {
+  await prisma.orderSendLock.deleteMany({ where: { id: lockId } });
+}
+
+/**
+ * Refuse to send a cancelled order
+ * @returns {Object} Result with cancelled: true and the reason in message
+ */
+function refuseCancelledOrder(shop, orderId, message) {
+  logger.warning("Cancelled order not sent to Delifast", { orderId, reason: message }, shop);
+
+  return {
+    success: false,
+    cancelled: true,
+    message,
+  };
+}
+
 /**
  * Send order to Delifast
+ * Only one send can be in flight per order; concurrent callers get an error
+ * and an order that already has a shipment ID is never sent again.
+ * Cancelled orders (in Shopify or on the shipment record) are never sent and
+ * are returned with cancelled: true.
+ * Orders that fail pre-send validation are held and returned with held: true;
+ * orders with a future delivery date are scheduled and returned with scheduled: true.
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Shopify order data
+ * @param {Object} admin - Shopify Admin API client (optional)
+ * @param {Object} options - { sendNow } send a future-dated order immediately
+ * @returns {Object} Result with shipmentId, held and issues, scheduled and scheduledFor,
+ *   or cancelled and message
+ */
+export async function sendOrderToDelifast(shop, order, admin = null, options = {}) {
+  const orderId = String(order.id);
+
+  const lockId = await claimOrderSend(shop, orderId);
+
+  if (!lockId) {
+    logger.warning("Order send already in progress", { orderId }, shop);
+    throw new Error("Order is already being sent to Delifast");
+  }
+
+  try {
+    // Re-check under the lock: a concurrent send may have just finished
+    const existing = await getShipment(shop, orderId);
+
+    if (existing?.shipmentId) {
+      logger.info(
+        "Order already sent to Delifast, skipping duplicate send",
+        { orderId, shipmentId: existing.shipmentId },
+        shop
+      );
+
+      return {
+        success: true,
+        shipmentId: existing.shipmentId,
+        isTemporary: existing.isTemporaryId,
+        alreadySent: true,
+      };
+    }
+
+    // A retried webhook or a resend must not revive a cancelled order
+    if (existing?.status === "cancelled" || order.cancelled_at) {
+      return refuseCancelledOrder(shop, orderId, "Order is cancelled");
+    }
+
+    return await createDelifastShipment(shop, order, admin, options);
+  } finally {
+    await releaseOrderSend(lockId);
+  }
+}
+
+/**
+ * Shipment fields from the mapping details: amounts for collected-vs-expected
+ * reporting and the line items left out of the parcel
+ */
+function getShipmentDetails(details) {
+  const { payment, excludedItems } = details;
+
+  return {
+    orderTotal: payment.orderTotal,
+    amountPaid: payment.amountPaid,
+    codAmount: payment.codAmount,
+    currency: payment.currency,
+    exchangeRate: payment.exchangeRate,
+    originalCodAmount: payment.originalCodAmount,
+    codAdjustment: payment.codAdjustment,
+    excludedItems: excludedItems.length > 0 ? JSON.stringify(excludedItems) : null,
+    deliveryDate: details.schedule.date,
+    deliverySlot: details.schedule.slot?.label || null,
+  };
+}
+
+/**
+ * Hold an order that failed pre-send validation.
+ * The order is recorded with status "held" and its issues, and tagged so staff
+ * can find it; nothing is sent to Delifast.
+ * @returns {Object} Result with held flag and issues
+ */
+async function holdOrder(shop, order, admin, issues, details) {
+  const orderId = String(order.id);
+  const errors = issues.filter((issue) => issue.severity === "error");
+  const statusDetails = errors.map((issue) => issue.message).join("; ");
+
+  await prisma.shipment.upsert({
+    where: {
+      shop_shopifyOrderId: {
+        shop,
+        shopifyOrderId: orderId,
+      },
+    },
+    update: {
+      status: "held",
+      statusDetails,
+      validationIssues: JSON.stringify(issues),
+      ...getShipmentDetails(details),
+    },
+    create: {
+      shop,
+      shopifyOrderId: orderId,
+      shopifyOrderNumber: getOrderNumberString(order) || orderId,
+      status: "held",
+      statusDetails,
+      validationIssues: JSON.stringify(issues),
+      ...getShipmentDetails(details),
+    },
+  });
+
+  logger.warning(
+    "Order held by pre-send validation",
+    {
+      orderId,
+      issues: errors.map((issue) => issue.code),
+    },
+    shop
+  );
+
+  if (admin) {
+    try {
+      await setDelifastStatusTag(admin, orderId, "held");
+    } catch (error) {
+      logger.warning("Failed to tag held order", { orderId, error: error?.message }, shop);
+    }
+  }
+
+  return {
+    success: false,
+    held: true,
+    issues,
+  };
+}
+
+/**
+ * Re-read the order's balance from Shopify right before sending, so the COD
+ * amount reflects edits and payments made after the webhook was queued.
+ * Falls back to the payload when Shopify can't be reached.
+ * @returns {Object} Order with current financial_status, current_total_price,
+ *   total_outstanding and cancelled_at
+ */
+async function withCurrentBalance(shop, order, admin) {
+  if (!admin) return order;
+
+  try {
+    const balance = await fetchOrderBalance(admin, order.id);
+
+    if (
+      balance.total_outstanding !== order.total_outstanding ||
+      balance.financial_status !== order.financial_status
+    ) {
+      logger.info(
+        "Order balance changed since the webhook",
+        {
+          orderId: String(order.id),
+          financialStatus: balance.financial_status,
+          previousOutstanding: order.total_outstanding ?? null,
+          outstanding: balance.total_outstanding,
+        },
+        shop
+      );
+    }
+
+    return { ...order, ...balance };
+  } catch (error) {
+    logger.warning(
+      "Could not re-check order balance, using webhook data",
+      { orderId: String(order.id), error: error?.message },
+      shop
+    );
+    return order;
+  }
+}
+
+/**
+ * Schedule an order with a future delivery date.
+ * The order is recorded with status "scheduled" and sent by the
+ * send-scheduled job from the start of its send day (UAE time).
+ * @returns {Object} Result with scheduled flag and scheduledFor
+ */
+async function scheduleOrder(shop, order, admin, issues, details) {
+  const orderId = String(order.id);
+  const { date, sendOn } = details.schedule;
+  const scheduledFor = startOfLocalDay(sendOn);
+  const statusDetails = `Delivery on ${date}, sending on ${sendOn}`;
+
+  const data = {
+    status: "scheduled",
+    statusDetails,
+    scheduledFor,
+    sendAttempts: 0,
+    validationIssues: issues.length > 0 ? JSON.stringify(issues) : null,
+    ...getShipmentDetails(details),
+  };
+
+  await prisma.shipment.upsert({
+    where: {
+      shop_shopifyOrderId: {
+        shop,
+        shopifyOrderId: orderId,
+      },
+    },
+    update: data,
+    create: {
+      shop,
+      shopifyOrderId: orderId,
+      shopifyOrderNumber: getOrderNumberString(order) || orderId,
+      ...data,
+    },
+  });
+
+  logger.info("Order scheduled for delivery date", { orderId, date, sendOn }, shop);
+
+  if (admin) {
+    try {
+      await setDelifastStatusTag(admin, orderId, "scheduled");
+    } catch (error) {
+      logger.warning("Failed to tag scheduled order", { orderId, error: error?.message }, shop);
+    }
+  }
+
+  return {
+    success: true,
+    scheduled: true,
+    scheduledFor,
+    deliveryDate: date,
+  };
+}
+
+/**
+ * Prepare the shipment payload against the current balance and validate it
+ * @param {Object} options - { readOnly } write nothing to the database (previews)
+ * @returns {Object} { orderData, details, issues, catalog, cancelled } - cancelled
+ *   when Shopify reports the order cancelled
+ */
+async function buildShipment(shop, order, admin, options = {}) {
+  const currentOrder = await withCurrentBalance(shop, order, admin);
+  const { orderData, details } = await prepareShipmentData(shop, currentOrder, admin, {}, {
+    readOnly: options.readOnly,
+  });
+  const catalog = await getCityCatalog();
+
+  // Orders with errors are held, warnings are recorded
+  const issues = validateOrderData(orderData, currentOrder, {
+    catalog,
+    area: details.area,
+    phone: details.phone,
+    payment: details.payment,
+    schedule: details.schedule,
+  });
+
+  return { orderData, details, issues, catalog, cancelled: Boolean(currentOrder.cancelled_at) };
+}
+
+/**
+ * Preview the shipment for an order without sending it
+ * Runs the same mapping and validation as a real send; nothing is sent to
+ * Delifast and nothing is written (no shipment, no newly seen gateways).
  * @param {string} shop - Shop domain
  * @param {Object} order - Shopify order data
  * @param {Object} admin - Shopify Admin API client (optional)
- * @returns {Object} Result with shipmentId
+ * @returns {Object} { orderData, cityName, payment, issues, schedule, mapping,
+ *   excludedItems, wouldHold, wouldSchedule }
  */
-export async function sendOrderToDelifast(shop, order, admin = null) {
+export async function previewShipment(shop, order, admin = null) {
+  const { orderData, details, issues, catalog } = await buildShipment(shop, order, admin, {
+    readOnly: true,
+  });
+
+  return {
+    orderData,
+    cityName: getCityName(orderData.billing_city, catalog),
+    payment: details.payment,
+    issues,
+    schedule: details.schedule,
+    mapping: details.mapping,
+    excludedItems: details.excludedItems,
+    wouldHold: hasBlockingIssues(issues),
+    wouldSchedule: details.schedule.scheduled,
+  };
+}
+
+/**
+ * Record a sent shipment on the Shopify order: metafields, status tag and,
+ * for real shipment IDs, the fulfillment. Failures are logged, never thrown,
+ * so a Shopify error can't cause the order to be sent to Delifast again.
+ * @param {string} shop - Shop domain
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} shipment - Shipment record with a shipment ID
+ */
+async function updateShopifyOrder(shop, admin, shipment) {
+  const orderId = shipment.shopifyOrderId;
+
+  try {
+    // Add metafields
+    await admin.graphql(
+      `#graphql
+      mutation updateOrderMetafields($input: OrderInput!) {
+        orderUpdate(input: $input) {
+          order { id }
+          userErrors { field message }
+        }
+      }`,
+      {
+        variables: {
+          input: {
+            id: `gid://shopify/Order/${orderId}`,
+            metafields: [
+              {
+                namespace: "delifast",
+                key: "shipment_id",
+                value: shipment.shipmentId,
+                type: "single_line_text_field",
+              },
+              {
+                namespace: "delifast",
+                key: "status",
+                value: shipment.status,
+                type: "single_line_text_field",
+              },
+              {
+                namespace: "delifast",
+                key: "is_temporary",
+                value: String(shipment.isTemporaryId),
+                type: "single_line_text_field",
+              },
+            ],
+          },
+        },
+      }
+    );
+
+    // Replace status tag (also clears delifast-error from a failed earlier attempt)
+    await setDelifastStatusTag(admin, orderId, shipment.status, ["delifast-sent"]);
+
+    logger.debug("Updated Shopify order", { orderId }, shop);
+  } catch (shopifyError) {
+    // Don't fail the whole operation if Shopify update fails
+    logger.warning(
+      "Failed to update Shopify order",
+      {
+        error: shopifyError?.message,
+        orderId,
+      },
+      shop
+    );
+  }
+
+  // Real shipment IDs can be fulfilled right away; temporary ones wait for the lookup job
+  if (!shipment.isTemporaryId) {
+    await syncShipmentFulfillment(shop, admin, shipment);
+  }
+}
+
+/**
+ * Create the Delifast shipment and record it (caller must hold the send lock)
+ */
+async function createDelifastShipment(shop, order, admin, options = {}) {
   const orderId = String(order.id);
 
   // IMPORTANT: must be a STRING for Prisma (shopifyOrderNumber field)
@@ -121,8 +750,21 @@ export async function sendOrderToDelifast(shop, order, admin = null) {
   logger.info("Sending order to Delifast", { orderId, orderNumber }, shop);
 
   try {
-    // Prepare order data
-    const orderData = await prepareOrderDataForDelifast(shop, order);
+    // Prepare and validate against the current balance
+    const { orderData, details, issues, cancelled } = await buildShipment(shop, order, admin);
+
+    // Cancelled after the webhook was queued
+    if (cancelled) {
+      return refuseCancelledOrder(shop, orderId, "Order was cancelled in Shopify");
+    }
+
+    if (hasBlockingIssues(issues)) {
+      return await holdOrder(shop, order, admin, issues, details);
+    }
+
+    if (details.schedule.scheduled && !options.sendNow) {
+      return await scheduleOrder(shop, order, admin, issues, details);
+    }
 
     // Create shipment
     const result = await delifastClient.createShipment(shop, orderData);
@@ -136,8 +778,27 @@ export async function sendOrderToDelifast(shop, order, admin = null) {
       isTemporary = true;
     }
 
+    // A slow Delifast call can outlive the send lock and let another send take
+    // it over; keep whichever shipment was recorded first
+    const recorded = await getShipment(shop, orderId);
+
+    if (recorded?.shipmentId) {
+      logger.warning(
+        "Order was sent by another request while this send was in progress, keeping the recorded shipment",
+        { orderId, recordedShipmentId: recorded.shipmentId, duplicateShipmentId: shipmentId },
+        shop
+      );
+
+      return {
+        success: true,
+        shipmentId: recorded.shipmentId,
+        isTemporary: recorded.isTemporaryId,
+        alreadySent: true,
+      };
+    }
+
     // Save shipment record
-    await prisma.shipment.upsert({
+    const shipment = await prisma.shipment.upsert({
       where: {
         shop_shopifyOrderId: {
           shop,
@@ -151,6 +812,8 @@ export async function sendOrderToDelifast(shop, order, admin = null) {
         statusDetails: isTemporary
           ? "Awaiting real shipment ID"
           : "Shipment created",
+        validationIssues: issues.length > 0 ? JSON.stringify(issues) : null,
+        ...getShipmentDetails(details),
         sentAt: new Date(),
         nextLookupAt: isTemporary ? new Date(Date.now() + 15 * 60 * 1000) : null, // 15 min
       },
@@ -164,80 +827,15 @@ export async function sendOrderToDelifast(shop, order, admin = null) {
         statusDetails: isTemporary
           ? "Awaiting real shipment ID"
           : "Shipment created",
+        validationIssues: issues.length > 0 ? JSON.stringify(issues) : null,
+        ...getShipmentDetails(details),
         nextLookupAt: isTemporary ? new Date(Date.now() + 15 * 60 * 1000) : null,
       },
     });
 
-    // Update Shopify order with metafields and tags
+    // Update Shopify order with metafields, tags and fulfillment
     if (admin) {
-      try {
-        // Add metafields
-        await admin.graphql(
-          `#graphql
-          mutation updateOrderMetafields($input: OrderInput!) {
-            orderUpdate(input: $input) {
-              order { id }
-              userErrors { field message }
-            }
-          }`,
-          {
-            variables: {
-              input: {
-                id: `gid://shopify/Order/${orderId}`,
-                metafields: [
-                  {
-                    namespace: "delifast",
-                    key: "shipment_id",
-                    value: shipmentId,
-                    type: "single_line_text_field",
-                  },
-                  {
-                    namespace: "delifast",
-                    key: "status",
-                    value: "new",
-                    type: "single_line_text_field",
-                  },
-                  {
-                    namespace: "delifast",
-                    key: "is_temporary",
-                    value: String(isTemporary),
-                    type: "single_line_text_field",
-                  },
-                ],
-              },
-            },
-          }
-        );
-
-        // Add tags
-        await admin.graphql(
-          `#graphql
-          mutation addOrderTags($id: ID!, $tags: [String!]!) {
-            tagsAdd(id: $id, tags: $tags) {
-              node { ... on Order { id tags } }
-              userErrors { field message }
-            }
-          }`,
-          {
-            variables: {
-              id: `gid://shopify/Order/${orderId}`,
-              tags: [getShopifyTag("new"), "delifast-sent"],
-            },
-          }
-        );
-
-        logger.debug("Updated Shopify order", { orderId }, shop);
-      } catch (shopifyError) {
-        // Don't fail the whole operation if Shopify update fails
-        logger.warning(
-          "Failed to update Shopify order",
-          {
-            error: shopifyError?.message,
-            orderId,
-          },
-          shop
-        );
-      }
+      await updateShopifyOrder(shop, admin, shipment);
     }
 
     logger.info(
@@ -311,6 +909,15 @@ export async function refreshOrderStatus(shop, shopifyOrderId, admin = null) {
     throw new Error("Shipment not found");
   }
 
+  // Held, scheduled and failed orders were never sent - keep their status and issues
+  if (!shipment.shipmentId) {
+    return {
+      status: shipment.status,
+      statusDetails: shipment.statusDetails,
+      notSent: true,
+    };
+  }
+
   // Handle temporary IDs
   if (shipment.isTemporaryId || isTemporaryId(shipment.shipmentId)) {
     logger.debug(
@@ -336,7 +943,7 @@ export async function refreshOrderStatus(shop, shopifyOrderId, admin = null) {
   );
 
   // Update local record
-  await prisma.shipment.update({
+  const updatedShipment = await prisma.shipment.update({
     where: {
       shop_shopifyOrderId: {
         shop,
@@ -383,21 +990,7 @@ export async function refreshOrderStatus(shop, shopifyOrderId, admin = null) {
         }
       );
 
-      await admin.graphql(
-        `#graphql
-        mutation addOrderTags($id: ID!, $tags: [String!]!) {
-          tagsAdd(id: $id, tags: $tags) {
-            node { ... on Order { id } }
-            userErrors { field message }
-          }
-        }`,
-        {
-          variables: {
-            id: `gid://shopify/Order/${shopifyOrderId}`,
-            tags: [getShopifyTag(statusResult.status)],
-          },
-        }
-      );
+      await setDelifastStatusTag(admin, shopifyOrderId, statusResult.status);
     } catch (shopifyError) {
       logger.warning(
         "Failed to update Shopify order status",
@@ -405,6 +998,9 @@ export async function refreshOrderStatus(shop, shopifyOrderId, admin = null) {
         shop
       );
     }
+
+    // Create the fulfillment if missing and post in_transit / delivered events
+    await syncShipmentFulfillment(shop, admin, updatedShipment);
   }
 
   logger.info(
@@ -516,6 +1112,176 @@ export async function updateShipmentId(shop, shopifyOrderId, newShipmentId, admi
   return refreshOrderStatus(shop, shopifyOrderId, admin);
 }
 
+/**
+ * Cancel the Delifast shipment for an order
+ * @param {string} shop - Shop domain
+ * @param {string} shopifyOrderId - Shopify order ID
+ * @param {Object} admin - Shopify Admin API client (optional)
+ * @param {Object} options - { reason }
+ * @returns {Object} Result with status
+ */
+export async function cancelOrderShipment(shop, shopifyOrderId, admin = null, options = {}) {
+  const { reason = "Cancelled by merchant" } = options;
+
+  const shipment = await getShipment(shop, shopifyOrderId);
+
+  if (!shipment?.shipmentId) {
+    throw new Error("Shipment not found");
+  }
+
+  const failCancellation = (message) => {
+    logger.error(
+      "Failed to cancel Delifast shipment",
+      {
+        orderId: shopifyOrderId,
+        orderNumber: shipment.shopifyOrderNumber,
+        shipmentId: shipment.shipmentId,
+        status: shipment.status,
+        error: message,
+      },
+      shop
+    );
+    return new Error(message);
+  };
+
+  if (shipment.isTemporaryId || isTemporaryId(shipment.shipmentId)) {
+    throw failCancellation(
+      "Shipment has a temporary ID. Update it with the real Delifast ID before cancelling."
+    );
+  }
+
+  if (!isCancellableStatus(shipment.status)) {
+    throw failCancellation(
+      `Shipment can no longer be cancelled (status: ${shipment.status}). Cancel it in the Delifast portal.`
+    );
+  }
+
+  try {
+    await delifastClient.cancelShipment(shop, shipment.shipmentId);
+  } catch (error) {
+    throw failCancellation(error?.message || "Cancellation failed");
+  }
+
+  const updatedShipment = await prisma.shipment.update({
+    where: { id: shipment.id },
+    data: {
+      status: "cancelled",
+      statusDetails: reason,
+    },
+  });
+
+  if (admin) {
+    try {
+      await admin.graphql(
+        `#graphql
+        mutation updateOrderMetafields($input: OrderInput!) {
+          orderUpdate(input: $input) {
+            order { id }
+            userErrors { field message }
+          }
+        }`,
+        {
+          variables: {
+            input: {
+              id: `gid://shopify/Order/${shopifyOrderId}`,
+              metafields: [
+                {
+                  namespace: "delifast",
+                  key: "status",
+                  value: "cancelled",
+                  type: "single_line_text_field",
+                },
+                {
+                  namespace: "delifast",
+                  key: "status_details",
+                  value: reason,
+                  type: "single_line_text_field",
+                },
+              ],
+            },
+          },
+        }
+      );
+
+      await setDelifastStatusTag(admin, shopifyOrderId, "cancelled");
+    } catch (shopifyError) {
+      logger.warning(
+        "Failed to update Shopify order after cancellation",
+        { error: shopifyError?.message, orderId: shopifyOrderId },
+        shop
+      );
+    }
+
+    await cancelShipmentFulfillment(shop, admin, updatedShipment);
+  }
+
+  logger.info(
+    "Delifast shipment cancelled",
+    {
+      orderId: shopifyOrderId,
+      shipmentId: shipment.shipmentId,
+      reason,
+    },
+    shop
+  );
+
+  return { success: true, status: "cancelled" };
+}
+
+/**
+ * Repair status tags on orders that collected several delifast-* tags.
+ * One-off maintenance action: re-applies the tag for each shipment's current status.
+ * Runs in batches of config.jobs.tagRepairBatchSize orders; pass the returned
+ * cursor to continue with the next batch.
+ * @param {string} shop - Shop domain
+ * @param {Object} admin - Shopify Admin API client
+ * @param {number|null} cursor - Last shipment ID handled by the previous batch
+ * @returns {Object} { repaired, failed, remaining, cursor } - cursor is null when done
+ */
+export async function repairStatusTags(shop, admin, cursor = null) {
+  const where = { shop, ...(cursor ? { id: { gt: cursor } } : {}) };
+
+  const shipments = await prisma.shipment.findMany({
+    where,
+    select: { id: true, shopifyOrderId: true, status: true },
+    orderBy: { id: "asc" },
+    take: config.jobs.tagRepairBatchSize,
+  });
+
+  logger.info("Repairing Delifast status tags", { orders: shipments.length, cursor }, shop);
+
+  let repaired = 0;
+  let failed = 0;
+
+  for (const shipment of shipments) {
+    try {
+      await setDelifastStatusTag(admin, shipment.shopifyOrderId, shipment.status);
+      repaired++;
+    } catch (error) {
+      logger.warning(
+        "Failed to repair status tag",
+        { orderId: shipment.shopifyOrderId, error: error?.message },
+        shop
+      );
+      failed++;
+    }
+  }
+
+  const lastId = shipments.length > 0 ? shipments[shipments.length - 1].id : cursor;
+  const remaining = lastId
+    ? await prisma.shipment.count({ where: { shop, id: { gt: lastId } } })
+    : 0;
+
+  logger.info("Status tag repair batch completed", { repaired, failed, remaining }, shop);
+
+  return {
+    repaired,
+    failed,
+    remaining,
+    cursor: remaining > 0 ? lastId : null,
+  };
+}
+
 /**
  * Get shipment by order ID
  * @param {string} shop - Shop domain
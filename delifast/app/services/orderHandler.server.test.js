@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { claimOrderSend, releaseOrderSend } from "./orderHandler.server";
+
+// In-memory OrderSendLock table with the (shop, shopifyOrderId) unique constraint
+const locks = vi.hoisted(() => ({ rows: [], nextId: 1 }));
+
+vi.mock("../db.server", () => ({
+  default: {
+    orderSendLock: {
+      create: async ({ data }) => {
+        if (locks.rows.some(r => r.shop === data.shop && r.shopifyOrderId === data.shopifyOrderId)) {
+          throw Object.assign(new Error("Unique constraint failed"), { code: "P2002" });
+        }
+        const row = { id: locks.nextId++, lockedAt: new Date(), ...data };
+        locks.rows.push(row);
+        return row;
+      },
+      deleteMany: async ({ where }) => {
+        const matches = r =>
+          (where.id === undefined || r.id === where.id) &&
+          (where.shop === undefined || r.shop === where.shop) &&
+          (where.shopifyOrderId === undefined || r.shopifyOrderId === where.shopifyOrderId) &&
+          (where.lockedAt === undefined || r.lockedAt < where.lockedAt.lt);
+        const count = locks.rows.filter(matches).length;
+        locks.rows = locks.rows.filter(r => !matches(r));
+        return { count };
+      },
+    },
+  },
+}));
+vi.mock("../shopify.server", () => ({ getOfflineAdmin: vi.fn() }));
+vi.mock("./logger.server", () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warning: vi.fn(), error: vi.fn() },
+}));
+
+const shop = "test.myshopify.com";
+
+describe("order send lock", () => {
+  beforeEach(() => {
+    locks.rows = [];
+    locks.nextId = 1;
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-10-19T08:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("lets only one caller hold an order's lock", async () => {
+    const first = await claimOrderSend(shop, "1001");
+
+    expect(first).toEqual(expect.any(Number));
+    expect(await claimOrderSend(shop, "1001")).toBeNull();
+    expect(await claimOrderSend(shop, "1002")).toEqual(expect.any(Number));
+    expect(await claimOrderSend("other.myshopify.com", "1001")).toEqual(expect.any(Number));
+  });
+
+  it("can be claimed again once released", async () => {
+    const lockId = await claimOrderSend(shop, "1001");
+    await releaseOrderSend(lockId);
+
+    expect(await claimOrderSend(shop, "1001")).toEqual(expect.any(Number));
+  });
+
+  it("takes over a stale lock, and the stale holder can't release the new one", async () => {
+    const staleId = await claimOrderSend(shop, "1001");
+
+    vi.advanceTimersByTime(4 * 60 * 1000);
+    expect(await claimOrderSend(shop, "1001")).toBeNull();
+
+    vi.advanceTimersByTime(2 * 60 * 1000);
+    const newId = await claimOrderSend(shop, "1001");
+    expect(newId).toEqual(expect.any(Number));
+    expect(newId).not.toBe(staleId);
+
+    await releaseOrderSend(staleId);
+    expect(locks.rows.map(r => r.id)).toEqual([newId]);
+    expect(await claimOrderSend(shop, "1001")).toBeNull();
+  });
+
+  it("passes on database errors other than the unique violation", async () => {
+    const prisma = (await import("../db.server")).default;
+    const create = prisma.orderSendLock.create;
+    prisma.orderSendLock.create = async () => {
+      throw Object.assign(new Error("Connection lost"), { code: "P1001" });
+    };
+
+    try {
+      await expect(claimOrderSend(shop, "1001")).rejects.toThrow("Connection lost");
+    } finally {
+      prisma.orderSendLock.create = create;
+    }
+  });
+});
@@ -5,7 +5,51 @@
 
 import prisma from "../db.server";
 import { logger } from "./logger.server";
+import { config } from "./config.server";
+import { getCityCatalog } from "./catalog.server";
 import { mapProvinceToCity } from "../utils/cityMapping";
+import { evaluateRules } from "../utils/autoSendRules";
+import { parseDimensions, calculateParcelWeight, splitShippableItems } from "../utils/parcel";
+import { resolveArea } from "../utils/areaResolver";
+import { pickConsigneePhone } from "../utils/phone";
+import { getDeliveryAddress, hasDeliveryAddress } from "../utils/deliveryAddress";
+import { getAedRate, parseCurrencyRates } from "../utils/currency";
+import { buildRemarks, parseAttributeNames } from "../utils/remarks";
+import { resolveDeliverySchedule } from "../utils/deliverySchedule";
+import {
+  parseFieldMappings,
+  getMappingMetafieldKeys,
+  applyFieldMappings,
+} from "../utils/fieldMapping";
+import { getOrderGateways, discoverGateways, findGatewayRules } from "./paymentGateways.server";
+import { getVariantOptions } from "./variantOptions.server";
+import { fetchOrderMetafields } from "./shopifyOrders.server";
+import { getOfflineAdmin } from "../shopify.server";
+
+/**
+ * Sender fields that must be set before a shipment can be created
+ */
+const REQUIRED_SENDER_FIELDS = {
+  senderNo: 'Sender Number',
+  senderName: 'Sender Name',
+  senderAddress: 'Sender Address',
+  senderMobile: 'Mobile Number',
+  senderCityId: 'City',
+};
+
+/**
+ * List required sender fields that are empty in the store settings
+ * @param {Object} settings - Store settings
+ * @returns {string[]} Labels of the missing fields
+ */
+export function getMissingSenderFields(settings) {
+  return Object.entries(REQUIRED_SENDER_FIELDS)
+    .filter(([field]) => {
+      const value = settings?.[field];
+      return value === null || value === undefined || String(value).trim() === '';
+    })
+    .map(([, label]) => label);
+}
 
 /**
  * Prepare order data for Delifast API
@@ -14,17 +58,411 @@ import { mapProvinceToCity } from "../utils/cityMapping";
  * @returns {Object} Formatted order data for Delifast
  */
 export async function prepareOrderDataForDelifast(shop, order) {
+  const { orderData } = await prepareShipmentData(shop, order);
+  return orderData;
+}
+
+/**
+ * Gateway names that mean cash on delivery when a gateway is not classified
+ */
+const COD_GATEWAY_PATTERN = /(^|[^a-z])(cod|cash|cash[_ ]on[_ ]delivery)([^a-z]|$)|الدفع عند الاستلام/i;
+
+/**
+ * Round a money amount to 2 decimals
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Get the order's current total and outstanding balance in the shop currency
+ * Uses current_total_price (after edits and refunds) and total_outstanding
+ * (after deposits, gift cards and store credit) when Shopify provides them.
+ * @param {Object} order - Shopify order object
+ * @returns {Object} { orderTotal, amountPaid, outstanding }
+ */
+export function getOrderBalance(order) {
+  const orderTotal = parseFloat(order.current_total_price ?? order.total_price ?? 0) || 0;
+
+  let outstanding;
+  if (order.total_outstanding !== undefined && order.total_outstanding !== null) {
+    outstanding = parseFloat(order.total_outstanding) || 0;
+  } else {
+    // Older payloads: a paid order owes nothing, anything else owes the total
+    outstanding = order.financial_status === 'paid' ? 0 : orderTotal;
+  }
+
+  outstanding = roundMoney(Math.max(outstanding, 0));
+
+  return {
+    orderTotal: roundMoney(orderTotal),
+    amountPaid: roundMoney(Math.max(orderTotal - outstanding, 0)),
+    outstanding,
+  };
+}
+
+/**
+ * Apply the store's COD rules to the amount to collect, in this order:
+ * surcharge (fixed AED or % of the balance), rounding, minimum.
+ * The maximum is not applied - orders above it are only flagged.
+ * @param {number} amount - Outstanding balance in AED
+ * @param {Object} settings - Store settings
+ * @returns {Object} { codAmount, surcharge, adjustment, overCap }
+ */
+function applyCodRules(amount, settings) {
+  let surcharge = 0;
+  if (settings.codSurchargeType === 'fixed') {
+    surcharge = settings.codSurchargeValue || 0;
+  } else if (settings.codSurchargeType === 'percent') {
+    surcharge = amount * (settings.codSurchargeValue || 0) / 100;
+  }
+  surcharge = roundMoney(surcharge);
+
+  let codAmount = amount + surcharge;
+
+  const step = settings.codRoundingStep || 0;
+  if (step > 0) {
+    const round = { up: Math.ceil, down: Math.floor }[settings.codRoundingMode] || Math.round;
+    // Round to cents first so 10.000000001 isn't rounded up a whole step
+    codAmount = round(roundMoney(codAmount / step)) * step;
+  }
+
+  if (settings.codMinimum > 0 && codAmount < settings.codMinimum) {
+    codAmount = settings.codMinimum;
+  }
+
+  codAmount = roundMoney(codAmount);
+
+  return {
+    codAmount,
+    surcharge,
+    adjustment: roundMoney(codAmount - amount),
+    overCap: settings.codMaximum > 0 && codAmount > settings.codMaximum,
+  };
+}
+
+/**
+ * Calculate payment type, amounts and fee payer for an order
+ * Classified gateways decide (COD wins over prepaid when an order used several);
+ * unclassified gateways fall back to the gateway name, and only orders without
+ * any gateway fall back to the payment status.
+ * The driver collects the outstanding balance, so a partially paid order
+ * collects the rest and an order with nothing outstanding is sent as prepaid.
+ * Amounts are returned in AED; shop-currency amounts in another currency are
+ * converted with the order's own exchange data or the store's rate table, and
+ * currencyError is set when neither has a rate. The store's COD rules
+ * (surcharge, rounding, minimum, maximum) are applied to the COD amount.
+ * @param {Object} order - Shopify order object
+ * @param {Object} settings - Store settings
+ * @param {Array} gatewayRules - PaymentGatewayRule records for the order's gateways
+ * @returns {Object} { paymentType, classifiedBy, gateways, isCOD, isPaid, currency,
+ *   exchangeRate, rateSource, currencyError, orderTotal, amountPaid, outstanding,
+ *   originalCodAmount, codSurcharge, codAdjustment, overCap, codRoundingStep, codMinimum,
+ *   totalPrice, codAmount,
+ *   paymentMethodId, shippingFeesOnSender, shippingFeesPaid, unclassifiedBalance }
+ *   - unclassifiedBalance: sent as prepaid only because the gateway is not
+ *   classified, while the order still has a balance to pay
+ */
+export function calculatePayment(order, settings, gatewayRules = []) {
+  const gateways = getOrderGateways(order);
+  const financialStatus = order.financial_status || '';
+  const isPaid = financialStatus === 'paid';
+  const shopBalance = getOrderBalance(order);
+
+  // Convert to AED; without a rate amounts stay unconverted and the order is held
+  const conversion = getAedRate(order, parseCurrencyRates(settings.currencyRates));
+  const toAed = amount => roundMoney(amount * (conversion.rate ?? 1));
+  const balance = {
+    orderTotal: toAed(shopBalance.orderTotal),
+    amountPaid: toAed(shopBalance.amountPaid),
+    outstanding: toAed(shopBalance.outstanding),
+  };
+  const currency = {
+    currency: conversion.currency,
+    exchangeRate: conversion.rate,
+    rateSource: conversion.source,
+    currencyError: conversion.rate === null
+      ? `No exchange rate from ${conversion.currency} to AED - add one on the Payment Gateways tab`
+      : null,
+  };
+
+  const rules = gatewayRules.filter(rule => rule && gateways.includes(rule.gateway));
+  const rule = rules.find(r => r.paymentType === 'cod') ||
+    rules.find(r => r.paymentType === 'prepaid');
+
+  let isCOD;
+  let classifiedBy;
+
+  if (rule) {
+    // A prepaid gateway still collects the balance left after a deposit
+    isCOD = rule.paymentType === 'cod' || financialStatus === 'partially_paid';
+    classifiedBy = 'rule';
+  } else if (gateways.length > 0) {
+    // Not classified yet - only a COD-looking name is collected, a deposit
+    // still collects the balance like a prepaid gateway
+    isCOD = gateways.some(name => COD_GATEWAY_PATTERN.test(name)) ||
+      financialStatus === 'partially_paid';
+    classifiedBy = 'fallback';
+  } else {
+    // No gateway on the order - collect whatever is not paid yet
+    isCOD = !isPaid;
+    classifiedBy = 'fallback';
+  }
+
+  // Nothing left to collect (paid with gift cards, store credit, ...)
+  if (isCOD && balance.outstanding <= 0) {
+    isCOD = false;
+  }
+
+  if (isCOD) {
+    // Cash on delivery - outstanding balance plus COD rules to collect
+    const cod = applyCodRules(balance.outstanding, settings);
+
+    return {
+      paymentType: 'cod',
+      classifiedBy,
+      gateways,
+      isCOD,
+      isPaid,
+      ...currency,
+      ...balance,
+      originalCodAmount: shopBalance.outstanding,
+      codSurcharge: cod.surcharge,
+      codAdjustment: cod.adjustment,
+      overCap: cod.overCap,
+      codRoundingStep: settings.codRoundingStep || 0,
+      codMinimum: settings.codMinimum || 0,
+      totalPrice: cod.codAmount,
+      codAmount: cod.codAmount,
+      paymentMethodId: 0,
+      // Rule fees left at default (null): COD fees stay with the recipient
+      shippingFeesOnSender: rule?.feesOnSender ?? false,
+      shippingFeesPaid: rule?.feesPaid ?? false,
+      unclassifiedBalance: false,
+    };
+  }
+
+  // Prepaid - no collection needed
+  return {
+    paymentType: 'prepaid',
+    classifiedBy,
+    gateways,
+    isCOD,
+    isPaid,
+    ...currency,
+    ...balance,
+    originalCodAmount: 0,
+    codSurcharge: 0,
+    codAdjustment: 0,
+    overCap: false,
+    totalPrice: 0,
+    codAmount: 0,
+    paymentMethodId: 1,
+    // Rule fees left at default (null): the store's prepaid fee settings
+    shippingFeesOnSender: rule?.feesOnSender ?? settings.feesOnSender,
+    shippingFeesPaid: rule?.feesPaid ?? settings.feesPaid,
+    unclassifiedBalance: classifiedBy === 'fallback' && gateways.length > 0 &&
+      balance.outstanding > 0,
+  };
+}
+
+/**
+ * Split a comma-separated option name setting into lowercase names
+ */
+function parseOptionNames(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Value of the first option whose name is in the list
+ */
+function findOptionValue(options, names) {
+  const option = options.find(o => names.includes(String(o.name || '').trim().toLowerCase()));
+  return option?.value || '';
+}
+
+/**
+ * Guess color and size from a variant title ("Red / M")
+ * Only used when the variant's options can't be loaded (e.g. deleted variants).
+ */
+function parseVariantTitle(variantTitle) {
+  const variantParts = (variantTitle || '').split(' / ').filter(Boolean);
+
+  let color = '';
+  let size = '';
+
+  // Try to extract color and size from variant title
+  for (const part of variantParts) {
+    const partLower = part.toLowerCase();
+    if (partLower.includes('color') || partLower.includes('لون')) {
+      color = part.replace(/color[:\s]*/i, '').replace(/لون[:\s]*/i, '').trim();
+    } else if (partLower.includes('size') || partLower.includes('مقاس')) {
+      size = part.replace(/size[:\s]*/i, '').replace(/مقاس[:\s]*/i, '').trim();
+    }
+  }
+
+  // If no color/size found, use variant parts directly
+  if (!color && !size && variantParts.length > 0) {
+    if (variantParts.length === 1) {
+      size = variantParts[0];
+    } else if (variantParts.length >= 2) {
+      color = variantParts[0];
+      size = variantParts[1];
+    }
+  }
+
+  return { color, size };
+}
+
+/**
+ * Map line items to Delifast product lines
+ * Color and Size come from the variant options named in the store settings
+ * (e.g. "Color, Colour" / "Size, Taille"); other options are left out.
+ * @param {string} shop - Shop domain
+ * @param {Array} lineItems - Shopify line items
+ * @param {Object} settings - Store settings
+ * @returns {Array} Products: [{ ProductName, Sku, Color, Size, Quantity }]
+ */
+async function mapLineItems(shop, lineItems, settings) {
+  const colorNames = parseOptionNames(settings.colorOptionNames);
+  const sizeNames = parseOptionNames(settings.sizeOptionNames);
+
+  // Webhook line items carry no option names - load them (cached) by variant
+  const variants = await getVariantOptions(
+    shop,
+    lineItems.filter(item => !item.variant_options).map(item => item.variant_id)
+  );
+
+  return lineItems.map(item => {
+    const variant = variants.get(String(item.variant_id));
+    const options = item.variant_options || variant?.options;
+
+    const { color, size } = options
+      ? { color: findOptionValue(options, colorNames), size: findOptionValue(options, sizeNames) }
+      : parseVariantTitle(item.variant_title);
+
+    return {
+      ProductName: item.name || item.title || 'Product',
+      Sku: item.sku || variant?.sku || '',
+      Color: color,
+      Size: size,
+      Quantity: String(item.quantity || 1), // Must be string per API requirement
+    };
+  });
+}
+
+/**
+ * Format a parsed delivery slot for the Delifast request
+ */
+function formatSlot(slot) {
+  if (!slot) return null;
+  return slot.from && slot.to ? `${slot.from}-${slot.to}` : slot.label;
+}
+
+/**
+ * Resolve the Delifast area for an address against the synced catalog
+ * Searches the areas of the mapped city, or every area when the city has none.
+ * @returns {Object} { checked, match } - checked is false when no areas are synced
+ */
+async function resolveOrderArea(shop, address, cityId, catalog) {
+  const city = catalog.find(c => c.id === cityId);
+  const areas = city?.areas?.length
+    ? city.areas.map(area => ({ ...area, cityId: city.id }))
+    : catalog.flatMap(c => c.areas.map(area => ({ ...area, cityId: c.id })));
+
+  if (areas.length === 0) {
+    return { checked: false, match: null };
+  }
+
+  const aliases = await prisma.areaAlias.findMany({
+    where: { shop },
+    select: { alias: true, areaId: true },
+  });
+
+  const match = resolveArea({
+    texts: [address.address1, address.address2, address.city],
+    areas,
+    aliases,
+    thresholds: config.areaMatching,
+  });
+
+  if (match) {
+    match.cityId = areas.find(area => area.id === match.areaId).cityId;
+  }
+
+  logger.debug('Resolved area', { cityId, match }, shop);
+
+  return { checked: true, match };
+}
+
+/**
+ * Load the order metafields used by the field mappings
+ * Failures are logged and leave the metafields empty, so their mappings
+ * fall back to the default value.
+ */
+async function loadMappingMetafields(shop, order, mappings, admin) {
+  const keys = getMappingMetafieldKeys(mappings);
+  if (keys.length === 0) return {};
+
+  try {
+    const client = admin || await getOfflineAdmin(shop);
+    if (!client) {
+      throw new Error('No offline session for shop');
+    }
+    return await fetchOrderMetafields(client, order.id, keys);
+  } catch (error) {
+    logger.warning('Failed to load order metafields for field mappings', {
+      orderId: order.id,
+      keys,
+      error: error?.message,
+    }, shop);
+    return {};
+  }
+}
+
+/**
+ * Prepare order data for Delifast API together with mapping details
+ * @param {string} shop - Shop domain
+ * @param {Object} order - Shopify order object
+ * @param {Object} admin - Shopify Admin API client (optional, offline session otherwise)
+ * @param {Object} overrides - Settings to use instead of the saved ones (previews)
+ * @param {Object} options - { readOnly } write nothing to the database (previews,
+ *   dry runs); newly seen gateways are not recorded
+ * @returns {Object} { orderData, details } - details: { area: { checked, match }, phone,
+ *   payment, excludedItems, schedule, mapping }
+ */
+export async function prepareShipmentData(shop, order, admin = null, overrides = {}, options = {}) {
   // Get store settings for defaults
-  const settings = await prisma.storeSettings.findUnique({
+  const savedSettings = await prisma.storeSettings.findUnique({
     where: { shop },
   });
 
-  if (!settings) {
+  if (!savedSettings) {
     throw new Error('Store settings not found');
   }
 
-  // Extract billing/shipping address
-  const address = order.billing_address || order.shipping_address || {};
+  const settings = { ...savedSettings, ...overrides };
+
+  // Refuse to send without a complete sender, otherwise Delifast picks up
+  // from whatever address it has on file
+  const missingSenderFields = getMissingSenderFields(settings);
+  if (missingSenderFields.length > 0) {
+    throw new Error(
+      `Sender details are incomplete (missing: ${missingSenderFields.join(', ')}). ` +
+      'Complete them on the Sender tab in Settings.'
+    );
+  }
+
+  // Local pickup / digital orders have nothing to deliver
+  if (!hasDeliveryAddress(order)) {
+    throw new Error('Order has no shipping address or is a local pickup, nothing to deliver');
+  }
+
+  // Consignee name, phone and address all come from the delivery address
+  const address = getDeliveryAddress(order, settings.addressSource);
 
   const firstName = address.first_name || '';
   const lastName = address.last_name || '';
@@ -33,11 +471,23 @@ export async function prepareOrderDataForDelifast(shop, order) {
   const address1 = address.address1 || '';
   const address2 = address.address2 || '';
   const province = address.province_code || address.province || '';
-  const phone = address.phone || order.phone || '';
   const email = order.email || address.email || '';
 
-  // Map province to city ID
-  const cityId = mapProvinceToCity(province, settings.defaultCityId);
+  // Consignee phone in canonical UAE format, falling back through the order's phones
+  const phone = pickConsigneePhone(order, address, {
+    requireMobile: settings.requireMobilePhone,
+  });
+
+  logger.debug('Normalized consignee phone', {
+    raw: phone.raw,
+    normalized: phone.normalized,
+    type: phone.type,
+    valid: phone.valid,
+  }, shop);
+
+  // Map province to city ID (synced Delifast catalog, falling back to built-in emirates)
+  const catalog = await getCityCatalog();
+  let cityId = mapProvinceToCity(province, settings.defaultCityId, catalog);
 
   logger.debug('Mapped province to city', {
     province,
@@ -45,95 +495,105 @@ export async function prepareOrderDataForDelifast(shop, order) {
     defaultCityId: settings.defaultCityId
   }, shop);
 
-  // Process line items (products)
-  const products = (order.line_items || []).map(item => {
-    // Extract variant info for color/size
-    const variantTitle = item.variant_title || '';
-    const variantParts = variantTitle.split(' / ');
-
-    let color = '';
-    let size = '';
-
-    // Try to extract color and size from variant title
-    for (const part of variantParts) {
-      const partLower = part.toLowerCase();
-      if (partLower.includes('color') || partLower.includes('لون')) {
-        color = part.replace(/color[:\s]*/i, '').replace(/لون[:\s]*/i, '').trim();
-      } else if (partLower.includes('size') || partLower.includes('مقاس')) {
-        size = part.replace(/size[:\s]*/i, '').replace(/مقاس[:\s]*/i, '').trim();
-      }
-    }
+  // Resolve the area from the address lines; an area is more specific than
+  // the province, so its city wins when they disagree. Delifast prices and
+  // routes by area, so a low-confidence match is reported but not sent.
+  const area = await resolveOrderArea(shop, address, cityId, catalog);
+  const areaMatch = area.match?.confident ? area.match : null;
 
-    // If no color/size found, use variant parts directly
-    if (!color && !size && variantParts.length > 0) {
-      if (variantParts.length === 1) {
-        size = variantParts[0];
-      } else if (variantParts.length >= 2) {
-        color = variantParts[0];
-        size = variantParts[1];
-      }
-    }
+  if (areaMatch && areaMatch.cityId !== cityId) {
+    logger.debug('Using city of resolved area', {
+      provinceCityId: cityId,
+      areaCityId: areaMatch.cityId,
+    }, shop);
+    cityId = areaMatch.cityId;
+  }
 
-    return {
-      ProductName: item.name || item.title || 'Product',
-      Color: color,
-      Size: size,
-      Quantity: String(item.quantity || 1), // Must be string per API requirement
-    };
-  });
+  // Only lines that need shipping go in the parcel (no gift cards, tips, digital items)
+  const { shippable, excluded } = splitShippableItems(order.line_items);
 
-  // Determine payment method and COD amount
-  const financialStatus = order.financial_status || '';
-  const paymentGateway = order.gateway || '';
+  if (excluded.length > 0) {
+    logger.debug('Excluded non-shippable line items', { excluded }, shop);
+  }
 
-  // Check if COD (Cash on Delivery)
-  const isCOD = paymentGateway.toLowerCase() === 'cod' ||
-                paymentGateway.toLowerCase() === 'cash_on_delivery' ||
-                paymentGateway.toLowerCase().includes('cash');
+  // Process line items (products) from the variants' selected options
+  const products = await mapLineItems(shop, shippable, settings);
 
-  // Check if paid electronically
-  const isPaid = financialStatus === 'paid' || financialStatus === 'partially_paid';
+  // Parcel weight (kg) from line item grams, falling back to the store default
+  const weight = calculateParcelWeight(shippable, settings.defaultWeight);
 
-  // Calculate amounts based on payment status
-  let totalPrice = parseFloat(order.total_price || 0);
-  let codAmount = 0;
-  let paymentMethodId = 1; // Default: prepaid
-  let shippingFeesOnSender = true;
-  let shippingFeesPaid = true;
+  // Parcel dimensions (cm) from the store default "LxWxH"
+  let dimensions = parseDimensions(settings.defaultDimensions);
+  if (!dimensions) {
+    logger.warning('Invalid default dimensions, using 10x10x10', {
+      defaultDimensions: settings.defaultDimensions,
+    }, shop);
+    dimensions = { length: 10, width: 10, height: 10 };
+  }
 
-  if (isCOD) {
-    // Cash on delivery - full amount to collect
-    codAmount = totalPrice;
-    paymentMethodId = 0;
-    shippingFeesOnSender = false;
-    shippingFeesPaid = false;
-  } else if (isPaid) {
-    // Paid electronically - no collection needed
-    totalPrice = 0;
-    codAmount = 0;
-    paymentMethodId = 1;
-    shippingFeesOnSender = settings.feesOnSender;
-    shippingFeesPaid = settings.feesPaid;
-  } else {
-    // Not paid yet - treat as COD
-    codAmount = totalPrice;
-    paymentMethodId = 0;
-    shippingFeesOnSender = false;
-    shippingFeesPaid = false;
+  logger.debug('Calculated parcel', {
+    weight,
+    ...dimensions,
+    defaultWeight: settings.defaultWeight,
+  }, shop);
+
+  // Payment type and fees from the store's gateway rules; gateways seen
+  // for the first time are recorded so the merchant can classify them,
+  // previews only look up the existing rules
+  const gatewayRules = options.readOnly
+    ? await findGatewayRules(shop, getOrderGateways(order))
+    : await discoverGateways(shop, getOrderGateways(order));
+  const payment = calculatePayment(order, settings, gatewayRules);
+
+  if (payment.classifiedBy === 'fallback' && payment.gateways.length > 0) {
+    logger.warning('Payment gateway is not classified, guessed from its name', {
+      gateways: payment.gateways,
+      paymentType: payment.paymentType,
+    }, shop);
   }
 
   logger.debug('Payment calculation', {
-    financialStatus,
-    paymentGateway,
-    isCOD,
-    isPaid,
-    totalPrice,
-    codAmount,
-    paymentMethodId,
+    financialStatus: order.financial_status || '',
+    gateways: payment.gateways,
+    paymentType: payment.paymentType,
+    classifiedBy: payment.classifiedBy,
+    orderTotal: payment.orderTotal,
+    amountPaid: payment.amountPaid,
+    outstanding: payment.outstanding,
+    currency: payment.currency,
+    exchangeRate: payment.exchangeRate,
+    rateSource: payment.rateSource,
+    codSurcharge: payment.codSurcharge,
+    codAdjustment: payment.codAdjustment,
+    overCap: payment.overCap,
+    totalPrice: payment.totalPrice,
+    codAmount: payment.codAmount,
+    paymentMethodId: payment.paymentMethodId,
+    shippingFeesOnSender: payment.shippingFeesOnSender,
+    shippingFeesPaid: payment.shippingFeesPaid,
   }, shop);
 
+  // Driver remarks: order note and the checkout attributes the store selected
+  const remarks = buildRemarks(order, {
+    includeNote: settings.remarksIncludeNote,
+    attributes: parseAttributeNames(settings.remarksAttributes),
+    maxLength: settings.remarksMaxLength,
+  });
+
+  // Requested delivery date and slot from checkout attributes
+  const schedule = resolveDeliverySchedule(order, settings);
+
+  if (schedule.status !== 'none') {
+    logger.debug('Resolved delivery schedule', {
+      status: schedule.status,
+      date: schedule.date,
+      slot: schedule.slot?.label,
+      sendOn: schedule.sendOn,
+    }, shop);
+  }
+
   // Build order data matching Delifast API format
-  const orderData = {
+  const mappedData = {
     // Customer info
     billing_first_name: firstName,
     billing_last_name: lastName,
@@ -142,51 +602,102 @@ export async function prepareOrderDataForDelifast(shop, order) {
     billing_address_1: address1,
     billing_address_2: address2,
     billing_city: cityId,
+    billing_area: areaMatch?.areaId ?? null,
     billing_state: province,
-    billing_phone: phone,
+    billing_phone: phone.normalized || phone.raw,
     billing_email: email,
 
+    // Sender (pickup) info
+    senderNo: settings.senderNo,
+    senderName: settings.senderName,
+    senderAddress: settings.senderAddress,
+    senderMobile: settings.senderMobile,
+    senderCityId: settings.senderCityId,
+    senderAreaId: settings.senderAreaId,
+
     // Order reference
     billing_ref: String(order.order_number || order.name || order.id),
 
+    // Delivery instructions for the driver
+    remarks: remarks,
+
+    // Requested delivery date ("YYYY-MM-DD") and time slot ("HH:MM-HH:MM" or label)
+    deliveryDate: schedule.date,
+    deliveryTimeSlot: formatSlot(schedule.slot),
+
     // Amounts
-    totalPrice: totalPrice,
-    codAmount: codAmount,
-    paymentMethodId: paymentMethodId,
+    totalPrice: payment.totalPrice,
+    codAmount: payment.codAmount,
+    paymentMethodId: payment.paymentMethodId,
 
     // Shipping settings
-    shippingFeesOnSender: shippingFeesOnSender,
-    shippingFeesPaid: shippingFeesPaid,
+    shippingFeesOnSender: payment.shippingFeesOnSender,
+    shippingFeesPaid: payment.shippingFeesPaid,
+
+    // Parcel (kg / cm)
+    weight: weight,
+    length: dimensions.length,
+    width: dimensions.width,
+    height: dimensions.height,
 
     // Products
     Products: products,
   };
 
+  // Store-specific field mappings override or extend the payload
+  const mappings = parseFieldMappings(settings.fieldMappings);
+  const metafields = await loadMappingMetafields(shop, order, mappings, admin);
+  const mapping = applyFieldMappings(mappedData, order, mappings, metafields);
+  const orderData = mapping.orderData;
+
+  if (mapping.applied.length > 0 || mapping.errors.length > 0) {
+    logger.debug('Applied field mappings', {
+      applied: mapping.applied,
+      errors: mapping.errors,
+    }, shop);
+  }
+
   logger.info('Prepared order data for Delifast', {
     orderRef: orderData.billing_ref,
     cityId: orderData.billing_city,
+    areaId: orderData.billing_area,
     productsCount: products.length,
+    excludedCount: excluded.length,
+    remarksLength: remarks.length,
+    weight: orderData.weight,
     totalPrice: orderData.totalPrice,
     codAmount: orderData.codAmount,
   }, shop);
 
-  return orderData;
+  return {
+    orderData,
+    details: {
+      area,
+      phone,
+      payment,
+      excludedItems: excluded,
+      schedule,
+      mapping: { applied: mapping.applied, errors: mapping.errors },
+    },
+  };
 }
 
 /**
  * Extract order info for display/storage
  * @param {Object} order - Shopify order object
+ * @param {string} addressSource - Store address source setting
  * @returns {Object} Extracted order info
  */
-export function extractOrderInfo(order) {
-  const address = order.billing_address || order.shipping_address || {};
+export function extractOrderInfo(order, addressSource = 'shipping_billing') {
+  const address = getDeliveryAddress(order, addressSource);
+  const phone = pickConsigneePhone(order, address);
 
   return {
     id: order.id,
     orderNumber: order.order_number || order.name,
     email: order.email,
     customerName: `${address.first_name || ''} ${address.last_name || ''}`.trim(),
-    phone: address.phone || order.phone,
+    phone: phone.normalized || phone.raw,
     totalPrice: order.total_price,
     financialStatus: order.financial_status,
     fulfillmentStatus: order.fulfillment_status,
@@ -196,7 +707,7 @@ export function extractOrderInfo(order) {
 }
 
 /**
- * Check if order should be auto-sent based on settings
+ * Check if order should be auto-sent based on settings and auto-send rules
  * @param {string} shop - Shop domain
  * @param {Object} order - Shopify order object
  * @param {string} trigger - Trigger event (created, paid, fulfilled)
@@ -208,6 +719,17 @@ export async function shouldAutoSend(shop, order, trigger) {
     select: {
       mode: true,
       autoSendStatus: true,
+      autoSendRules: true,
+      addressSource: true,
+      feesOnSender: true,
+      feesPaid: true,
+      currencyRates: true,
+      codSurchargeType: true,
+      codSurchargeValue: true,
+      codRoundingStep: true,
+      codRoundingMode: true,
+      codMinimum: true,
+      codMaximum: true,
     },
   });
 
@@ -222,5 +744,58 @@ export async function shouldAutoSend(shop, order, trigger) {
     'fulfilled': 'fulfilled',
   };
 
-  return settings.autoSendStatus === triggerStatusMap[trigger];
+  if (settings.autoSendStatus !== triggerStatusMap[trigger]) {
+    return false;
+  }
+
+  if (!hasDeliveryAddress(order)) {
+    logger.info('Order skipped: no shipping address or local pickup', {
+      orderId: order.id,
+      orderNumber: order.order_number || order.name,
+      trigger,
+    }, shop);
+    return false;
+  }
+
+  if (splitShippableItems(order.line_items).shippable.length === 0) {
+    logger.info('Order skipped: no shippable line items (gift cards, tips or digital items only)', {
+      orderId: order.id,
+      orderNumber: order.order_number || order.name,
+      trigger,
+    }, shop);
+    return false;
+  }
+
+  const { matched, reasons } = evaluateRules(settings.autoSendRules, order, {
+    addressSource: settings.addressSource,
+  });
+
+  if (!matched) {
+    logger.info('Order skipped by auto-send rules', {
+      orderId: order.id,
+      orderNumber: order.order_number || order.name,
+      trigger,
+      reasons,
+    }, shop);
+    return false;
+  }
+
+  // COD above the store's cap needs a manual send
+  if (settings.codMaximum > 0) {
+    const gatewayRules = await findGatewayRules(shop, getOrderGateways(order));
+    const payment = calculatePayment(order, settings, gatewayRules);
+
+    if (payment.overCap) {
+      logger.info('Order skipped: COD amount above the maximum', {
+        orderId: order.id,
+        orderNumber: order.order_number || order.name,
+        trigger,
+        codAmount: payment.codAmount,
+        codMaximum: settings.codMaximum,
+      }, shop);
+      return false;
+    }
+  }
+
+  return true;
 }
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from "vitest";
+import { calculatePayment } from "./orderMapper.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("../shopify.server", () => ({ getOfflineAdmin: vi.fn() }));
+vi.mock("./logger.server", () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warning: vi.fn(), error: vi.fn() },
+}));
+
+const codRule = { gateway: "Cash on Delivery (COD)", paymentType: "cod", feesOnSender: null, feesPaid: null };
+const prepaidRule = { gateway: "shopify_payments", paymentType: "prepaid", feesOnSender: null, feesPaid: null };
+const settings = { feesOnSender: true, feesPaid: true };
+
+const codOrder = (outstanding, extra = {}) => ({
+  currency: "AED",
+  gateway: "Cash on Delivery (COD)",
+  financial_status: "pending",
+  total_price: String(outstanding),
+  total_outstanding: String(outstanding),
+  ...extra,
+});
+
+describe("calculatePayment", () => {
+  it("collects the outstanding balance on COD orders", () => {
+    const payment = calculatePayment(codOrder(0, { total_price: "300", total_outstanding: "120.5" }), settings, [codRule]);
+
+    expect(payment).toMatchObject({
+      paymentType: "cod",
+      classifiedBy: "rule",
+      codAmount: 120.5,
+      paymentMethodId: 0,
+      shippingFeesOnSender: false,
+      shippingFeesPaid: false,
+    });
+  });
+
+  it("adds fixed and percent surcharges", () => {
+    expect(calculatePayment(codOrder(100), { ...settings, codSurchargeType: "fixed", codSurchargeValue: 10 }, [codRule]))
+      .toMatchObject({ codSurcharge: 10, codAmount: 110, codAdjustment: 10 });
+
+    expect(calculatePayment(codOrder(200), { ...settings, codSurchargeType: "percent", codSurchargeValue: 2.5 }, [codRule]))
+      .toMatchObject({ codSurcharge: 5, codAmount: 205 });
+  });
+
+  it("rounds the COD amount to the configured step", () => {
+    const rounding = { ...settings, codRoundingStep: 5 };
+
+    expect(calculatePayment(codOrder(101.2), { ...rounding, codRoundingMode: "up" }, [codRule]).codAmount).toBe(105);
+    expect(calculatePayment(codOrder(104.9), { ...rounding, codRoundingMode: "down" }, [codRule]).codAmount).toBe(100);
+    expect(calculatePayment(codOrder(102.4), { ...rounding, codRoundingMode: "nearest" }, [codRule]).codAmount).toBe(100);
+    expect(calculatePayment(codOrder(0.3), { ...settings, codRoundingStep: 0.1, codRoundingMode: "up" }, [codRule]).codAmount).toBe(0.3);
+  });
+
+  it("raises small amounts to the minimum and flags amounts over the cap", () => {
+    expect(calculatePayment(codOrder(15), { ...settings, codMinimum: 20 }, [codRule]))
+      .toMatchObject({ codAmount: 20, codAdjustment: 5, overCap: false });
+
+    expect(calculatePayment(codOrder(6000), { ...settings, codMaximum: 5000 }, [codRule]))
+      .toMatchObject({ codAmount: 6000, overCap: true });
+  });
+
+  it("converts to AED before applying the rules", () => {
+    const payment = calculatePayment(
+      codOrder(100, { currency: "USD" }),
+      { ...settings, currencyRates: '{"USD": 3.6725}', codRoundingStep: 1, codRoundingMode: "up" },
+      [codRule]
+    );
+
+    expect(payment).toMatchObject({ exchangeRate: 3.6725, outstanding: 367.25, codAmount: 368, currencyError: null });
+    expect(calculatePayment(codOrder(100, { currency: "EUR" }), settings, [codRule]).currencyError).toMatch(/EUR/);
+  });
+
+  it("sends nothing-outstanding orders as prepaid with the store's fees", () => {
+    expect(calculatePayment(codOrder(0, { total_price: "100" }), settings, [codRule])).toMatchObject({
+      paymentType: "prepaid",
+      codAmount: 0,
+      shippingFeesOnSender: true,
+      shippingFeesPaid: true,
+    });
+  });
+
+  it("collects the rest of a deposit on a prepaid gateway", () => {
+    const order = codOrder(40, { gateway: "shopify_payments", total_price: "100", financial_status: "partially_paid" });
+
+    expect(calculatePayment(order, settings, [prepaidRule])).toMatchObject({ paymentType: "cod", codAmount: 40 });
+  });
+
+  it("flags unclassified gateways that still have a balance", () => {
+    const order = codOrder(100, { gateway: "bank_transfer" });
+
+    expect(calculatePayment(order, settings, [])).toMatchObject({
+      paymentType: "prepaid",
+      classifiedBy: "fallback",
+      unclassifiedBalance: true,
+    });
+    expect(calculatePayment(codOrder(100), settings, [])).toMatchObject({ paymentType: "cod", classifiedBy: "fallback" });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Payment Gateway Rules Service
+ * Per-store classification of payment gateways as COD or prepaid
+ */
+
+import prisma from "../db.server";
+import { logger } from "./logger.server";
+
+/**
+ * Allowed payment types for a gateway rule
+ */
+export const GATEWAY_PAYMENT_TYPES = ['unclassified', 'cod', 'prepaid'];
+
+/**
+ * Get the gateway names used by an order
+ * @param {Object} order - Shopify order
+ * @returns {string[]} Unique, non-empty gateway names
+ */
+export function getOrderGateways(order) {
+  const names = [
+    ...(order?.payment_gateway_names || []),
+    order?.gateway,
+  ]
+    .map(name => String(name || '').trim())
+    .filter(Boolean);
+
+  return [...new Set(names)];
+}
+
+/**
+ * Record the gateways seen on an order and return their rules.
+ * Gateways seen for the first time are stored as "unclassified" so the
+ * merchant can classify them in Settings.
+ * @param {string} shop - Shop domain
+ * @param {string[]} gateways - Gateway names
+ * @returns {Array} PaymentGatewayRule records for the gateways
+ */
+export async function discoverGateways(shop, gateways) {
+  if (gateways.length === 0) return [];
+
+  const rules = [];
+
+  for (const gateway of gateways) {
+    const existing = await prisma.paymentGatewayRule.findUnique({
+      where: { shop_gateway: { shop, gateway } },
+    });
+
+    if (existing) {
+      rules.push(await prisma.paymentGatewayRule.update({
+        where: { id: existing.id },
+        data: { lastSeenAt: new Date() },
+      }));
+      continue;
+    }
+
+    try {
+      rules.push(await prisma.paymentGatewayRule.create({
+        data: { shop, gateway },
+      }));
+      logger.info('Discovered new payment gateway', { gateway }, shop);
+    } catch (error) {
+      // Created concurrently by another order
+      if (error?.code !== 'P2002') throw error;
+      rules.push(await prisma.paymentGatewayRule.findUnique({
+        where: { shop_gateway: { shop, gateway } },
+      }));
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Look up the rules of the gateways used by an order without recording
+ * anything (previews and dry runs)
+ * @param {string} shop - Shop domain
+ * @param {string[]} gateways - Gateway names
+ * @returns {Array} Existing PaymentGatewayRule records for the gateways
+ */
+export async function findGatewayRules(shop, gateways) {
+  if (gateways.length === 0) return [];
+
+  return prisma.paymentGatewayRule.findMany({
+    where: { shop, gateway: { in: gateways } },
+  });
+}
+
+/**
+ * Get all gateway rules for a store
+ * @param {string} shop - Shop domain
+ * @returns {Array} Gateway rules, unclassified first
+ */
+export async function getGatewayRules(shop) {
+  const rules = await prisma.paymentGatewayRule.findMany({
+    where: { shop },
+    orderBy: { gateway: 'asc' },
+  });
+
+  return [
+    ...rules.filter(rule => rule.paymentType === 'unclassified'),
+    ...rules.filter(rule => rule.paymentType !== 'unclassified'),
+  ];
+}
+
+/**
+ * Create or update a gateway rule
+ * @param {string} shop - Shop domain
+ * @param {string} gateway - Gateway name
+ * @param {Object} data - { paymentType, feesOnSender, feesPaid } (fees null = store default)
+ * @returns {Object} Saved rule
+ */
+export async function saveGatewayRule(shop, gateway, data) {
+  const name = String(gateway || '').trim();
+
+  if (!name) {
+    throw new Error('Gateway name is required');
+  }
+
+  if (!GATEWAY_PAYMENT_TYPES.includes(data.paymentType)) {
+    throw new Error(`Invalid payment type: ${data.paymentType}`);
+  }
+
+  const rule = await prisma.paymentGatewayRule.upsert({
+    where: { shop_gateway: { shop, gateway: name } },
+    update: {
+      paymentType: data.paymentType,
+      feesOnSender: data.feesOnSender,
+      feesPaid: data.feesPaid,
+    },
+    create: {
+      shop,
+      gateway: name,
+      paymentType: data.paymentType,
+      feesOnSender: data.feesOnSender,
+      feesPaid: data.feesPaid,
+    },
+  });
+
+  logger.info('Payment gateway rule saved', {
+    gateway: name,
+    paymentType: data.paymentType,
+  }, shop);
+
+  return rule;
+}
+
+/**
+ * Delete a gateway rule (it is re-discovered if the gateway is used again)
+ * @param {string} shop - Shop domain
+ * @param {number} ruleId - Rule ID
+ */
+export async function deleteGatewayRule(shop, ruleId) {
+  await prisma.paymentGatewayRule.deleteMany({
+    where: { id: ruleId, shop },
+  });
+}
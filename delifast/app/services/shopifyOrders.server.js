@@ -0,0 +1,341 @@
+/**
+ * Shopify Orders Service
+ * Loads orders through the Admin GraphQL API in the same shape as order webhooks,
+ * so the mapper, rules and handlers can be reused outside of webhooks
+ */
+
+/**
+ * Order fields requested for every order
+ */
+const ORDER_FIELDS = `#graphql
+  fragment DelifastOrderFields on Order {
+    id
+    legacyResourceId
+    name
+    email
+    phone
+    tags
+    note
+    createdAt
+    cancelledAt
+    displayFinancialStatus
+    displayFulfillmentStatus
+    paymentGatewayNames
+    customAttributes { key value }
+    customer { phone }
+    totalPriceSet { shopMoney { amount currencyCode } }
+    currentTotalPriceSet {
+      shopMoney { amount currencyCode }
+      presentmentMoney { amount currencyCode }
+    }
+    totalOutstandingSet { shopMoney { amount } }
+    shippingAddress {
+      firstName lastName company address1 address2 city
+      province provinceCode country countryCodeV2 zip phone
+    }
+    billingAddress {
+      firstName lastName company address1 address2 city
+      province provinceCode country countryCodeV2 zip phone
+    }
+    shippingLines(first: 5) {
+      nodes { title code deliveryCategory }
+    }
+    lineItems(first: 100) {
+      nodes {
+        id
+        name
+        title
+        variantTitle
+        quantity
+        sku
+        requiresShipping
+        isGiftCard
+        variant {
+          id
+          selectedOptions { name value }
+          inventoryItem {
+            measurement { weight { unit value } }
+          }
+        }
+        product { id }
+      }
+    }
+  }
+`;
+
+/**
+ * Convert a GraphQL MailingAddress to the webhook address shape
+ */
+function toAddress(address) {
+  if (!address) return null;
+
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    zip: address.zip,
+    phone: address.phone,
+  };
+}
+
+/**
+ * Convert a GraphQL MoneyBag to the webhook *_set shape
+ */
+function toMoneyBag(bag) {
+  if (!bag) return null;
+
+  return {
+    shop_money: {
+      amount: bag.shopMoney?.amount,
+      currency_code: bag.shopMoney?.currencyCode,
+    },
+    presentment_money: {
+      amount: bag.presentmentMoney?.amount,
+      currency_code: bag.presentmentMoney?.currencyCode,
+    },
+  };
+}
+
+/**
+ * Grams per GraphQL WeightUnit
+ */
+const GRAMS_PER_UNIT = {
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.3495,
+  POUNDS: 453.592,
+};
+
+/**
+ * Convert a GraphQL Weight to grams (webhook line items carry grams)
+ */
+function toGrams(weight) {
+  if (!weight?.value) return 0;
+  return Math.round(weight.value * (GRAMS_PER_UNIT[weight.unit] || 0));
+}
+
+/**
+ * Strip the gid:// prefix from a GraphQL ID
+ */
+function toLegacyId(gid) {
+  return gid ? Number(String(gid).split('/').pop()) : null;
+}
+
+/**
+ * Convert a GraphQL order node to the order webhook payload shape
+ * @param {Object} node - GraphQL Order
+ * @returns {Object} Order in webhook (REST) shape
+ */
+export function toOrderPayload(node) {
+  const gateways = node.paymentGatewayNames || [];
+
+  return {
+    id: Number(node.legacyResourceId),
+    admin_graphql_api_id: node.id,
+    name: node.name,
+    order_number: Number(String(node.name || '').replace(/\D/g, '')) || null,
+    email: node.email,
+    phone: node.phone,
+    tags: (node.tags || []).join(', '),
+    note: node.note,
+    note_attributes: (node.customAttributes || []).map(a => ({ name: a.key, value: a.value })),
+    customer: node.customer ? { phone: node.customer.phone } : null,
+    created_at: node.createdAt,
+    cancelled_at: node.cancelledAt,
+    financial_status: String(node.displayFinancialStatus || '').toLowerCase(),
+    fulfillment_status: node.displayFulfillmentStatus === 'FULFILLED'
+      ? 'fulfilled'
+      : node.displayFulfillmentStatus === 'PARTIALLY_FULFILLED' ? 'partial' : null,
+    gateway: gateways[0] || '',
+    payment_gateway_names: gateways,
+    total_price: node.totalPriceSet?.shopMoney?.amount,
+    current_total_price: node.currentTotalPriceSet?.shopMoney?.amount,
+    current_total_price_set: toMoneyBag(node.currentTotalPriceSet),
+    total_outstanding: node.totalOutstandingSet?.shopMoney?.amount,
+    currency: node.totalPriceSet?.shopMoney?.currencyCode,
+    shipping_address: toAddress(node.shippingAddress),
+    billing_address: toAddress(node.billingAddress),
+    shipping_lines: (node.shippingLines?.nodes || []).map(line => ({
+      title: line.title,
+      code: line.code,
+      delivery_category: line.deliveryCategory,
+    })),
+    line_items: (node.lineItems?.nodes || []).map(item => ({
+      id: toLegacyId(item.id),
+      name: item.name,
+      title: item.title,
+      variant_title: item.variantTitle,
+      quantity: item.quantity,
+      grams: toGrams(item.variant?.inventoryItem?.measurement?.weight),
+      sku: item.sku,
+      requires_shipping: item.requiresShipping,
+      gift_card: item.isGiftCard,
+      variant_id: toLegacyId(item.variant?.id),
+      variant_options: item.variant?.selectedOptions,
+      product_id: toLegacyId(item.product?.id),
+    })),
+  };
+}
+
+/**
+ * Fetch recent orders, newest first
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} options - { first, query }
+ * @returns {Array} Orders in webhook shape
+ */
+export async function fetchRecentOrders(admin, options = {}) {
+  const { first = 25, query = null } = options;
+
+  const response = await admin.graphql(
+    `#graphql
+    ${ORDER_FIELDS}
+    query getRecentOrders($first: Int!, $query: String) {
+      orders(first: $first, query: $query, sortKey: CREATED_AT, reverse: true) {
+        nodes { ...DelifastOrderFields }
+      }
+    }`,
+    { variables: { first, query } }
+  );
+
+  const body = await response.json();
+
+  if (body.errors?.length) {
+    throw new Error(body.errors.map(e => e.message).join(', '));
+  }
+
+  return (body.data?.orders?.nodes || []).map(toOrderPayload);
+}
+
+/**
+ * Fetch a single order by its numeric ID
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Object} Order in webhook shape
+ */
+export async function fetchOrder(admin, orderId) {
+  const response = await admin.graphql(
+    `#graphql
+    ${ORDER_FIELDS}
+    query getOrder($id: ID!) {
+      order(id: $id) { ...DelifastOrderFields }
+    }`,
+    { variables: { id: `gid://shopify/Order/${orderId}` } }
+  );
+
+  const body = await response.json();
+
+  if (body.errors?.length) {
+    throw new Error(body.errors.map(e => e.message).join(', '));
+  }
+
+  if (!body.data?.order) {
+    throw new Error('Order not found in Shopify');
+  }
+
+  return toOrderPayload(body.data.order);
+}
+
+/**
+ * Fetch the current payment state of an order
+ * Webhook payloads can be stale by the time an order is sent (order edits,
+ * later payments, refunds, cancellation), so the balance is re-read before sending.
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Object} { financial_status, current_total_price, current_total_price_set,
+ *   total_outstanding, cancelled_at } (shop currency)
+ */
+export async function fetchOrderBalance(admin, orderId) {
+  const response = await admin.graphql(
+    `#graphql
+    query getOrderBalance($id: ID!) {
+      order(id: $id) {
+        displayFinancialStatus
+        cancelledAt
+        currentTotalPriceSet {
+          shopMoney { amount currencyCode }
+          presentmentMoney { amount currencyCode }
+        }
+        totalOutstandingSet { shopMoney { amount } }
+      }
+    }`,
+    { variables: { id: `gid://shopify/Order/${orderId}` } }
+  );
+
+  const body = await response.json();
+
+  if (body.errors?.length) {
+    throw new Error(body.errors.map(e => e.message).join(', '));
+  }
+
+  const order = body.data?.order;
+  if (!order) {
+    throw new Error('Order not found in Shopify');
+  }
+
+  return {
+    financial_status: String(order.displayFinancialStatus || '').toLowerCase(),
+    current_total_price: order.currentTotalPriceSet?.shopMoney?.amount,
+    current_total_price_set: toMoneyBag(order.currentTotalPriceSet),
+    total_outstanding: order.totalOutstandingSet?.shopMoney?.amount,
+    cancelled_at: order.cancelledAt,
+  };
+}
+
+/**
+ * Fetch order metafields by key
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string|number} orderId - Numeric order ID
+ * @param {string[]} keys - Metafield keys as "namespace.key"
+ * @returns {Object} "namespace.key" -> value (missing metafields left out)
+ */
+export async function fetchOrderMetafields(admin, orderId, keys) {
+  if (keys.length === 0) return {};
+
+  const fields = keys
+    .map((_, index) => `m${index}: metafield(namespace: $ns${index}, key: $key${index}) { value }`)
+    .join('\n');
+  const params = keys
+    .map((_, index) => `$ns${index}: String!, $key${index}: String!`)
+    .join(', ');
+
+  const variables = { id: `gid://shopify/Order/${orderId}` };
+  keys.forEach((fullKey, index) => {
+    const dot = fullKey.lastIndexOf('.');
+    variables[`ns${index}`] = fullKey.slice(0, dot);
+    variables[`key${index}`] = fullKey.slice(dot + 1);
+  });
+
+  const response = await admin.graphql(
+    `#graphql
+    query getOrderMetafields($id: ID!, ${params}) {
+      order(id: $id) {
+        ${fields}
+      }
+    }`,
+    { variables }
+  );
+
+  const body = await response.json();
+
+  if (body.errors?.length) {
+    throw new Error(body.errors.map(e => e.message).join(', '));
+  }
+
+  const order = body.data?.order;
+  if (!order) {
+    throw new Error('Order not found in Shopify');
+  }
+
+  return Object.fromEntries(
+    keys
+      .map((key, index) => [key, order[`m${index}`]?.value])
+      .filter(([, value]) => value !== null && value !== undefined)
+  );
+}
@@ -116,6 +116,7 @@ export async function login(shop) {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(loginData),
+      signal: AbortSignal.timeout(config.delifast.requestTimeoutSeconds * 1000),
     });
 
     if (!response.ok) {
@@ -0,0 +1,102 @@
+/**
+ * Variant Options Service
+ * Loads the selected options (name/value) of product variants through the
+ * Admin GraphQL API, with an in-memory cache per shop and variant
+ */
+
+import { logger } from "./logger.server";
+import { config } from "./config.server";
+import { getOfflineAdmin } from "../shopify.server";
+
+/**
+ * Cache of `${shop}:${variantId}` -> { options, sku, expiresAt }
+ * Map keeps insertion order, so the first entries are the oldest.
+ */
+const cache = new Map();
+
+/**
+ * Store a variant in the cache, evicting the oldest entries when full
+ */
+function cacheVariant(key, variant) {
+  cache.delete(key);
+  cache.set(key, {
+    ...variant,
+    expiresAt: Date.now() + config.variantOptions.cacheMinutes * 60 * 1000,
+  });
+
+  while (cache.size > config.variantOptions.cacheMaxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Get the selected options and SKU of product variants
+ * Variants that can't be loaded (deleted, API errors) are left out, so callers
+ * should fall back to the line item's variant_title.
+ * @param {string} shop - Shop domain
+ * @param {Array<string|number>} variantIds - Numeric variant IDs
+ * @param {Object} admin - Shopify Admin API client (optional, offline session otherwise)
+ * @returns {Map} variantId (string) -> { options: [{ name, value }], sku }
+ */
+export async function getVariantOptions(shop, variantIds, admin = null) {
+  const result = new Map();
+  const missing = [];
+  const now = Date.now();
+
+  for (const id of new Set(variantIds.filter(Boolean).map(String))) {
+    const cached = cache.get(`${shop}:${id}`);
+    if (cached && cached.expiresAt > now) {
+      result.set(id, { options: cached.options, sku: cached.sku });
+    } else {
+      missing.push(id);
+    }
+  }
+
+  if (missing.length === 0) return result;
+
+  try {
+    const client = admin || await getOfflineAdmin(shop);
+    if (!client) {
+      throw new Error('No offline session for shop');
+    }
+
+    const response = await client.graphql(
+      `#graphql
+      query getVariantOptions($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            legacyResourceId
+            sku
+            selectedOptions { name value }
+          }
+        }
+      }`,
+      { variables: { ids: missing.map(id => `gid://shopify/ProductVariant/${id}`) } }
+    );
+
+    const body = await response.json();
+
+    if (body.errors?.length) {
+      throw new Error(body.errors.map(e => e.message).join(', '));
+    }
+
+    for (const node of body.data?.nodes || []) {
+      if (!node?.legacyResourceId) continue;
+
+      const variant = {
+        options: node.selectedOptions || [],
+        sku: node.sku || '',
+      };
+      cacheVariant(`${shop}:${node.legacyResourceId}`, variant);
+      result.set(String(node.legacyResourceId), variant);
+    }
+  } catch (error) {
+    logger.warning('Failed to load variant options, using variant titles', {
+      variantIds: missing,
+      error: error?.message,
+    }, shop);
+  }
+
+  return result;
+}
+
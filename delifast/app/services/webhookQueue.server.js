@@ -0,0 +1,371 @@
+/**
+ * Webhook Queue Service
+ * Durable processing of Shopify order webhooks with retries and a dead-letter state
+ */
+
+import prisma from "../db.server";
+import { logger } from "./logger.server";
+import { config } from "./config.server";
+import { getOfflineAdmin } from "../shopify.server";
+import {
+  handleOrderCreated,
+  handleOrderPaid,
+  handleOrderFulfilled,
+  handleOrderCancelled,
+} from "./orderHandler.server";
+
+/**
+ * Order handlers by webhook topic
+ */
+const topicHandlers = {
+  'orders/create': handleOrderCreated,
+  'orders/paid': handleOrderPaid,
+  'orders/fulfilled': handleOrderFulfilled,
+  'orders/cancelled': handleOrderCancelled,
+};
+
+/**
+ * Store a verified webhook payload for processing.
+ * The delivery ID is recorded in the same transaction, so a redelivered
+ * webhook is dropped instead of creating a second job.
+ * @param {Object} webhook - { shop, topic, webhookId, payload, rawBody }
+ * @returns {Object|null} Created job, or null for a duplicate delivery
+ */
+export async function enqueueWebhook({ shop, topic, webhookId, payload, rawBody }) {
+  if (!topicHandlers[topic]) {
+    throw new Error(`No handler for webhook topic ${topic}`);
+  }
+
+  const jobData = {
+    shop,
+    topic,
+    orderId: payload?.id !== undefined ? String(payload.id) : null,
+    payload: rawBody || JSON.stringify(payload),
+    maxAttempts: config.jobs.webhookMaxAttempts,
+  };
+
+  let job;
+
+  try {
+    if (webhookId) {
+      [, job] = await prisma.$transaction([
+        prisma.processedWebhook.create({
+          data: { webhookId, shop, topic },
+        }),
+        prisma.webhookJob.create({ data: jobData }),
+      ]);
+    } else {
+      job = await prisma.webhookJob.create({ data: jobData });
+    }
+  } catch (error) {
+    // Unique violation on webhookId - this delivery was already accepted
+    if (error?.code === 'P2002') {
+      logger.info('Duplicate webhook delivery ignored', {
+        webhookId,
+        topic,
+        orderId: jobData.orderId,
+      }, shop);
+      return null;
+    }
+    throw error;
+  }
+
+  logger.debug('Webhook queued', { jobId: job.id, topic, webhookId, orderId: job.orderId }, shop);
+
+  return job;
+}
+
+/**
+ * Delay before the next attempt (exponential backoff, capped)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attempts) {
+  const minutes = Math.min(
+    config.jobs.webhookRetryBaseMinutes * Math.pow(2, Math.max(attempts - 1, 0)),
+    config.jobs.webhookRetryMaxMinutes
+  );
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Atomically claim a job so concurrent workers never run it twice
+ * @returns {Object|null} Claimed job or null if another worker has it
+ */
+async function claimJob(job) {
+  const staleBefore = new Date(Date.now() - config.jobs.webhookLockMinutes * 60 * 1000);
+
+  const { count } = await prisma.webhookJob.updateMany({
+    where: {
+      id: job.id,
+      OR: [
+        { status: 'pending', nextRunAt: { lte: new Date() } },
+        { status: 'processing', lockedAt: { lt: staleBefore } },
+      ],
+    },
+    data: {
+      status: 'processing',
+      lockedAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+
+  if (count === 0) return null;
+
+  return prisma.webhookJob.findUnique({ where: { id: job.id } });
+}
+
+/**
+ * Run a claimed job and record the outcome
+ */
+async function runJob(job) {
+  const { shop, topic } = job;
+
+  try {
+    const payload = JSON.parse(job.payload);
+    const admin = await getOfflineAdmin(shop);
+
+    if (!admin) {
+      logger.info('No offline session found for shop (continuing without admin client)', {
+        jobId: job.id,
+      }, shop);
+    }
+
+    await topicHandlers[topic](shop, payload, admin);
+
+    await prisma.webhookJob.update({
+      where: { id: job.id },
+      data: {
+        status: 'completed',
+        completedAt: new Date(),
+        lockedAt: null,
+        lastError: null,
+      },
+    });
+
+    return true;
+  } catch (error) {
+    const message = error?.message || 'Unknown error';
+
+    if (job.attempts >= job.maxAttempts) {
+      await prisma.webhookJob.update({
+        where: { id: job.id },
+        data: { status: 'dead', lockedAt: null, lastError: message },
+      });
+
+      logger.error('Webhook job failed permanently', {
+        jobId: job.id,
+        topic,
+        orderId: job.orderId,
+        attempts: job.attempts,
+        error: message,
+      }, shop);
+    } else {
+      const nextRunAt = new Date(Date.now() + getRetryDelayMs(job.attempts));
+
+      await prisma.webhookJob.update({
+        where: { id: job.id },
+        data: { status: 'pending', lockedAt: null, lastError: message, nextRunAt },
+      });
+
+      logger.warning('Webhook job failed, scheduling retry', {
+        jobId: job.id,
+        topic,
+        orderId: job.orderId,
+        attempts: job.attempts,
+        nextRunAt,
+        error: message,
+      }, shop);
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Process a single job right away (used after enqueueing and for manual retries)
+ * @param {number} jobId - Job ID
+ * @returns {boolean|null} Success, or null if the job was not claimable
+ */
+export async function processWebhookJob(jobId) {
+  const job = await claimJob({ id: jobId });
+  if (!job) return null;
+  return runJob(job);
+}
+
+/**
+ * Queue a verified order webhook and start processing it right away.
+ * The worker sends the order to Delifast with retries, so a Delifast outage
+ * never loses a send; the cron worker picks the job up if this immediate run
+ * fails. Throws when the job can't be stored, so the webhook route can
+ * return 500 and Shopify redelivers.
+ * @param {Object} webhook - { shop, topic, webhookId, payload, rawBody }
+ * @returns {Object|null} Queued job, or null for a duplicate delivery
+ */
+export async function queueWebhook(webhook) {
+  const job = await enqueueWebhook(webhook);
+
+  // Same delivery already accepted - nothing to process again
+  if (!job) return null;
+
+  processWebhookJob(job.id).catch(error => {
+    logger.error('Immediate webhook processing failed', {
+      jobId: job.id,
+      error: error?.message,
+    }, webhook.shop);
+  });
+
+  return job;
+}
+
+/**
+ * Process due jobs for all stores
+ * Should be run every minute via external cron
+ */
+export async function processWebhookQueue() {
+  const staleBefore = new Date(Date.now() - config.jobs.webhookLockMinutes * 60 * 1000);
+
+  const jobs = await prisma.webhookJob.findMany({
+    where: {
+      OR: [
+        { status: 'pending', nextRunAt: { lte: new Date() } },
+        { status: 'processing', lockedAt: { lt: staleBefore } },
+      ],
+    },
+    orderBy: { nextRunAt: 'asc' },
+    take: config.jobs.webhookBatchSize,
+  });
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const job of jobs) {
+    const claimed = await claimJob(job);
+    if (!claimed) continue;
+
+    if (await runJob(claimed)) {
+      processed++;
+    } else {
+      failed++;
+    }
+  }
+
+  if (jobs.length > 0) {
+    logger.info('Webhook queue run completed', { found: jobs.length, processed, failed });
+  }
+
+  return { found: jobs.length, processed, failed };
+}
+
+/**
+ * Put a dead or pending job back in the queue and run it immediately
+ * @param {string} shop - Shop domain
+ * @param {number} jobId - Job ID
+ * @returns {boolean|null} Result of the immediate run
+ */
+export async function retryWebhookJob(shop, jobId) {
+  const { count } = await prisma.webhookJob.updateMany({
+    where: { id: jobId, shop, status: { in: ['dead', 'pending'] } },
+    data: {
+      status: 'pending',
+      attempts: 0,
+      nextRunAt: new Date(),
+      lastError: null,
+    },
+  });
+
+  if (count === 0) {
+    throw new Error('Job not found or already processing');
+  }
+
+  logger.info('Webhook job requeued', { jobId }, shop);
+
+  return processWebhookJob(jobId);
+}
+
+/**
+ * Put all dead jobs of a store back in the queue for the next worker run
+ * @param {string} shop - Shop domain
+ * @returns {number} Requeued job count
+ */
+export async function requeueDeadJobs(shop) {
+  const { count } = await prisma.webhookJob.updateMany({
+    where: { shop, status: 'dead' },
+    data: {
+      status: 'pending',
+      attempts: 0,
+      nextRunAt: new Date(),
+      lastError: null,
+    },
+  });
+
+  logger.info('Dead webhook jobs requeued', { count }, shop);
+
+  return count;
+}
+
+/**
+ * Get queued jobs for a store
+ * @param {string} shop - Shop domain
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Object} Jobs and count
+ */
+export async function getWebhookJobs(shop, options = {}) {
+  const { status, limit = 50, offset = 0 } = options;
+
+  const where = { shop };
+  if (status) {
+    where.status = status;
+  }
+
+  const [jobs, total] = await Promise.all([
+    prisma.webhookJob.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.webhookJob.count({ where }),
+  ]);
+
+  return { jobs, total };
+}
+
+/**
+ * Delete completed jobs past the retention window
+ * @returns {number} Deleted job count
+ */
+export async function clearCompletedJobs(daysToKeep = config.jobs.webhookRetentionDays) {
+  const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+
+  const result = await prisma.webhookJob.deleteMany({
+    where: {
+      status: 'completed',
+      completedAt: { lt: cutoffDate },
+    },
+  });
+
+  if (result.count > 0) {
+    logger.info(`Cleared ${result.count} completed webhook jobs`, { daysToKeep });
+  }
+
+  return result.count;
+}
+
+/**
+ * Delete webhook delivery IDs past the retention window
+ * @returns {number} Deleted record count
+ */
+export async function clearProcessedWebhooks(daysToKeep = config.jobs.webhookIdRetentionDays) {
+  const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+
+  const result = await prisma.processedWebhook.deleteMany({
+    where: { receivedAt: { lt: cutoffDate } },
+  });
+
+  if (result.count > 0) {
+    logger.info(`Cleared ${result.count} processed webhook IDs`, { daysToKeep });
+  }
+
+  return result.count;
+}
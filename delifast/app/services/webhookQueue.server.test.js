@@ -0,0 +1,217 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { enqueueWebhook, processWebhookJob } from "./webhookQueue.server";
+import { handleOrderCreated } from "./orderHandler.server";
+
+// In-memory ProcessedWebhook and WebhookJob tables. Operations run when awaited,
+// like Prisma's, so $transaction can run them in order and roll back on failure.
+const db = vi.hoisted(() => ({ processedWebhooks: [], jobs: [], nextId: 1 }));
+
+vi.mock("../db.server", () => {
+  const lazy = run => ({ run, then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject) });
+
+  const matches = (row, where) => Object.entries(where).every(([key, condition]) => {
+    if (key === "OR") return condition.some(option => matches(row, option));
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      if ("lt" in condition) return row[key] < condition.lt;
+      if ("lte" in condition) return row[key] <= condition.lte;
+      if ("in" in condition) return condition.in.includes(row[key]);
+    }
+    return row[key] === condition;
+  });
+
+  const applyData = (row, data) => {
+    for (const [key, value] of Object.entries(data)) {
+      row[key] = value && typeof value === "object" && "increment" in value ? row[key] + value.increment : value;
+    }
+  };
+
+  return {
+    default: {
+      $transaction: async operations => {
+        const snapshot = JSON.stringify({ processedWebhooks: db.processedWebhooks, jobs: db.jobs });
+        try {
+          const results = [];
+          for (const operation of operations) {
+            results.push(await operation.run());
+          }
+          return results;
+        } catch (error) {
+          const restored = JSON.parse(snapshot, (key, value) =>
+            typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : value);
+          db.processedWebhooks = restored.processedWebhooks;
+          db.jobs = restored.jobs;
+          throw error;
+        }
+      },
+      processedWebhook: {
+        create: ({ data }) => lazy(() => {
+          if (db.processedWebhooks.some(r => r.webhookId === data.webhookId)) {
+            throw Object.assign(new Error("Unique constraint failed"), { code: "P2002" });
+          }
+          const row = { ...data, receivedAt: new Date() };
+          db.processedWebhooks.push(row);
+          return row;
+        }),
+      },
+      webhookJob: {
+        create: ({ data }) => lazy(() => {
+          const row = {
+            id: db.nextId++,
+            status: "pending",
+            attempts: 0,
+            nextRunAt: new Date(),
+            lockedAt: null,
+            lastError: null,
+            completedAt: null,
+            ...data,
+          };
+          db.jobs.push(row);
+          return { ...row };
+        }),
+        updateMany: ({ where, data }) => lazy(() => {
+          const rows = db.jobs.filter(row => matches(row, where));
+          rows.forEach(row => applyData(row, data));
+          return { count: rows.length };
+        }),
+        update: ({ where, data }) => lazy(() => {
+          const row = db.jobs.find(r => r.id === where.id);
+          applyData(row, data);
+          return { ...row };
+        }),
+        findUnique: ({ where }) => lazy(() => {
+          const row = db.jobs.find(r => r.id === where.id);
+          return row ? { ...row } : null;
+        }),
+      },
+    },
+  };
+});
+vi.mock("../shopify.server", () => ({ getOfflineAdmin: vi.fn(async () => null) }));
+vi.mock("./orderHandler.server", () => ({
+  handleOrderCreated: vi.fn(),
+  handleOrderPaid: vi.fn(),
+  handleOrderFulfilled: vi.fn(),
+  handleOrderCancelled: vi.fn(),
+}));
+vi.mock("./logger.server", () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warning: vi.fn(), error: vi.fn() },
+}));
+
+const shop = "test.myshopify.com";
+const minutes = count => count * 60 * 1000;
+
+const webhook = (webhookId = "delivery-1") => ({
+  shop,
+  topic: "orders/create",
+  webhookId,
+  payload: { id: 1001 },
+  rawBody: '{"id":1001}',
+});
+
+describe("enqueueWebhook", () => {
+  beforeEach(() => {
+    db.processedWebhooks = [];
+    db.jobs = [];
+    db.nextId = 1;
+  });
+
+  it("stores the job and the delivery ID", async () => {
+    const job = await enqueueWebhook(webhook());
+
+    expect(job).toMatchObject({ shop, topic: "orders/create", orderId: "1001", status: "pending", maxAttempts: 8 });
+    expect(db.processedWebhooks.map(r => r.webhookId)).toEqual(["delivery-1"]);
+  });
+
+  it("drops a redelivered webhook without creating a second job", async () => {
+    await enqueueWebhook(webhook());
+
+    expect(await enqueueWebhook(webhook())).toBeNull();
+    expect(db.jobs).toHaveLength(1);
+    expect(db.processedWebhooks).toHaveLength(1);
+
+    expect(await enqueueWebhook(webhook("delivery-2"))).not.toBeNull();
+    expect(db.jobs).toHaveLength(2);
+  });
+
+  it("rejects topics without a handler", async () => {
+    await expect(enqueueWebhook({ ...webhook(), topic: "products/update" })).rejects.toThrow(/No handler/);
+    expect(db.jobs).toHaveLength(0);
+  });
+});
+
+describe("processWebhookJob", () => {
+  beforeEach(() => {
+    db.processedWebhooks = [];
+    db.jobs = [];
+    db.nextId = 1;
+    vi.mocked(handleOrderCreated).mockReset();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-10-19T08:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("completes a job whose handler succeeds", async () => {
+    const job = await enqueueWebhook(webhook());
+
+    expect(await processWebhookJob(job.id)).toBe(true);
+    expect(handleOrderCreated).toHaveBeenCalledWith(shop, { id: 1001 }, null);
+    expect(db.jobs[0]).toMatchObject({ status: "completed", attempts: 1, lastError: null, lockedAt: null });
+    expect(await processWebhookJob(job.id)).toBeNull();
+  });
+
+  it("backs off exponentially up to the cap, then dead-letters the job", async () => {
+    vi.mocked(handleOrderCreated).mockRejectedValue(new Error("Delifast unavailable"));
+    const job = await enqueueWebhook(webhook());
+    db.jobs[0].maxAttempts = 12;
+
+    const delays = [];
+    for (let attempt = 1; attempt < 12; attempt++) {
+      const startedAt = Date.now();
+      expect(await processWebhookJob(job.id)).toBe(false);
+      expect(db.jobs[0]).toMatchObject({ status: "pending", attempts: attempt, lastError: "Delifast unavailable" });
+
+      const delay = db.jobs[0].nextRunAt.getTime() - startedAt;
+      delays.push(delay / minutes(1));
+
+      // Not due yet
+      vi.advanceTimersByTime(delay - 1000);
+      expect(await processWebhookJob(job.id)).toBeNull();
+      vi.advanceTimersByTime(1000);
+    }
+
+    expect(delays).toEqual([1, 2, 4, 8, 16, 32, 64, 128, 256, 360, 360]);
+
+    expect(await processWebhookJob(job.id)).toBe(false);
+    expect(db.jobs[0]).toMatchObject({ status: "dead", attempts: 12, lockedAt: null });
+
+    vi.advanceTimersByTime(minutes(24 * 60));
+    expect(await processWebhookJob(job.id)).toBeNull();
+    expect(handleOrderCreated).toHaveBeenCalledTimes(12);
+  });
+
+  it("retries after a failure and completes", async () => {
+    vi.mocked(handleOrderCreated)
+      .mockRejectedValueOnce(new Error("Timeout"))
+      .mockResolvedValueOnce(undefined);
+    const job = await enqueueWebhook(webhook());
+
+    expect(await processWebhookJob(job.id)).toBe(false);
+    vi.advanceTimersByTime(minutes(1));
+    expect(await processWebhookJob(job.id)).toBe(true);
+    expect(db.jobs[0]).toMatchObject({ status: "completed", attempts: 2, lastError: null });
+  });
+
+  it("reclaims a job left processing by a crashed worker", async () => {
+    const job = await enqueueWebhook(webhook());
+    Object.assign(db.jobs[0], { status: "processing", lockedAt: new Date(), attempts: 1 });
+
+    expect(await processWebhookJob(job.id)).toBeNull();
+
+    vi.advanceTimersByTime(minutes(11));
+    expect(await processWebhookJob(job.id)).toBe(true);
+    expect(db.jobs[0]).toMatchObject({ status: "completed", attempts: 2 });
+  });
+});
@@ -24,6 +24,8 @@ const shopify = shopifyApp({
    * These callback URLs must match your Remix route files:
    * - app/routes/webhooks.orders.create.jsx   => /webhooks/orders/create
    * - app/routes/webhooks.orders.paid.jsx     => /webhooks/orders/paid
+   * - app/routes/webhooks.orders.fulfilled.jsx => /webhooks/orders/fulfilled
+   * - app/routes/webhooks.orders.cancelled.jsx => /webhooks/orders/cancelled
    * - app/routes/webhooks.app.uninstalled.jsx => /webhooks/app/uninstalled
    *
    * After OAuth, call:
@@ -38,6 +40,14 @@ const shopify = shopifyApp({
       deliveryMethod: DeliveryMethod.Http,
       callbackUrl: "/webhooks/orders/paid",
     },
+    ORDERS_FULFILLED: {
+      deliveryMethod: DeliveryMethod.Http,
+      callbackUrl: "/webhooks/orders/fulfilled",
+    },
+    ORDERS_CANCELLED: {
+      deliveryMethod: DeliveryMethod.Http,
+      callbackUrl: "/webhooks/orders/cancelled",
+    },
     APP_UNINSTALLED: {
       deliveryMethod: DeliveryMethod.Http,
       callbackUrl: "/webhooks/app/uninstalled",
@@ -108,6 +118,22 @@ export async function verifyShopifyWebhookHmac(request, secret) {
   };
 }
 
+/**
+ * Get an Admin API client for a shop from its stored OFFLINE session.
+ *
+ * Webhooks and cron jobs run without a browser session, so authenticate.admin()
+ * is not available there. Returns null when the shop has no offline session
+ * (e.g. the app was uninstalled).
+ */
+export async function getOfflineAdmin(shop) {
+  try {
+    const { admin } = await shopify.unauthenticated.admin(shop);
+    return admin;
+  } catch {
+    return null;
+  }
+}
+
 export default shopify;
 export const apiVersion = ApiVersion.October25;
 export const addDocumentResponseHeaders = shopify.addDocumentResponseHeaders;
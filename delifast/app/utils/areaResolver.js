@@ -0,0 +1,188 @@
+/**
+ * Area Resolver
+ * Matches free-text address lines against the Delifast area catalog
+ */
+
+/**
+ * Default score thresholds (0-1)
+ */
+export const AREA_MATCH_THRESHOLDS = {
+  minScore: 0.6, // Below this no area is sent
+  confidentScore: 0.85, // Below this the match is flagged for review and not sent
+};
+
+/**
+ * Common abbreviations and alternative spellings, mapped to catalog area names
+ */
+export const builtInAreaAliases = {
+  'jlt': 'Jumeirah Lakes Towers',
+  'jvc': 'Jumeirah Village Circle',
+  'jvt': 'Jumeirah Village Triangle',
+  'jbr': 'Jumeirah Beach Residence',
+  'difc': 'Dubai International Financial Centre',
+  'dip': 'Dubai Investments Park',
+  'dso': 'Dubai Silicon Oasis',
+  'jafza': 'Jebel Ali Free Zone',
+  'downtown': 'Downtown Dubai',
+  'marina': 'Dubai Marina',
+  'sports city': 'Dubai Sports City',
+  'motor city': 'Motor City',
+  'mbz': 'Mohammed Bin Zayed City',
+  'mbz city': 'Mohammed Bin Zayed City',
+  'kca': 'Khalifa City A',
+  'khalifa city': 'Khalifa City A',
+  'reem': 'Al Reem Island',
+  'saadiyat': 'Saadiyat Island',
+  'yas': 'Yas Island',
+  'muwaileh': 'Muwaileh Commercial',
+  'nahda': 'Al Nahda',
+  'qusais': 'Al Qusais',
+  'barsha': 'Al Barsha',
+  'karama': 'Al Karama',
+  'مرسى دبي': 'Dubai Marina',
+  'وسط دبي': 'Downtown Dubai',
+};
+
+/**
+ * Normalize address or area text for comparison
+ * Lowercases, unifies Arabic letter variants, strips diacritics, punctuation
+ * and the "al"/"ال" article so "Al-Barsha", "barsha" and "البرشاء" line up.
+ * @param {string} text - Raw text
+ * @returns {string} Normalized, space-separated tokens
+ */
+export function normalizeAreaText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // tashkeel + tatweel
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/[^a-z0-9\u0600-\u06FF]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(token => token.replace(/^ال(?=.{2,})/, ''))
+    .filter(token => token !== 'al' && token !== 'el')
+    .join(' ');
+}
+
+/**
+ * Character bigrams of a string (spaces removed)
+ */
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+}
+
+/**
+ * Dice coefficient between two normalized strings (0-1)
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const aBigrams = bigrams(a);
+  const bBigrams = bigrams(b);
+  if (aBigrams.length === 0 || bBigrams.length === 0) return 0;
+
+  const counts = new Map();
+  for (const gram of aBigrams) {
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (const gram of bBigrams) {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      overlap++;
+      counts.set(gram, count - 1);
+    }
+  }
+
+  return (2 * overlap) / (aBigrams.length + bBigrams.length);
+}
+
+/**
+ * Best score of a name against any window of the text with the same token count
+ */
+function scoreName(name, text) {
+  if (!name || !text) return 0;
+
+  // Whole-word containment is an exact match
+  if (` ${text} `.includes(` ${name} `)) return 1;
+
+  const textTokens = text.split(' ');
+  const size = name.split(' ').length;
+  let best = 0;
+
+  for (let i = 0; i + size <= textTokens.length; i++) {
+    best = Math.max(best, similarity(name, textTokens.slice(i, i + size).join(' ')));
+  }
+
+  return best;
+}
+
+/**
+ * Resolve the Delifast area for an address
+ * @param {Object} input
+ * @param {string[]} input.texts - Address lines to search (address1, address2, city)
+ * @param {Array} input.areas - Candidate areas [{ id, name, nameAr }]
+ * @param {Array} input.aliases - Merchant aliases [{ alias, areaId }]
+ * @param {Object} input.thresholds - { minScore, confidentScore }
+ * @returns {Object|null} { areaId, areaName, score, matchedOn, confident } or null
+ */
+export function resolveArea({ texts, areas, aliases = [], thresholds = AREA_MATCH_THRESHOLDS }) {
+  if (!areas?.length) return null;
+
+  const text = normalizeAreaText((texts || []).filter(Boolean).join(' '));
+  if (!text) return null;
+
+  const byId = new Map(areas.map(area => [area.id, area]));
+  const toResult = (area, score, matchedOn) => ({
+    areaId: area.id,
+    areaName: area.name,
+    score: Math.round(score * 100) / 100,
+    matchedOn,
+    confident: score >= thresholds.confidentScore,
+  });
+
+  // 1. Merchant aliases win outright
+  for (const { alias, areaId } of aliases) {
+    const area = byId.get(areaId);
+    if (area && scoreName(normalizeAreaText(alias), text) === 1) {
+      return toResult(area, 1, `alias "${alias}"`);
+    }
+  }
+
+  // 2. Built-in aliases that point to an area in the candidate list
+  for (const [alias, areaName] of Object.entries(builtInAreaAliases)) {
+    if (scoreName(normalizeAreaText(alias), text) !== 1) continue;
+
+    const target = normalizeAreaText(areaName);
+    const area = areas.find(a => normalizeAreaText(a.name) === target);
+    if (area) {
+      return toResult(area, 1, `alias "${alias}"`);
+    }
+  }
+
+  // 3. Exact or fuzzy match on English and Arabic names
+  let best = null;
+
+  for (const area of areas) {
+    for (const name of [area.name, area.nameAr]) {
+      const score = scoreName(normalizeAreaText(name), text);
+      if (!best || score > best.score) {
+        best = { area, score, name };
+      }
+    }
+  }
+
+  if (!best || best.score < thresholds.minScore) {
+    return null;
+  }
+
+  return toResult(best.area, best.score, `name "${best.name}"`);
+}
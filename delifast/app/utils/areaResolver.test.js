@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { normalizeAreaText, resolveArea } from "./areaResolver";
+
+const areas = [
+  { id: 1, name: "Al Barsha", nameAr: "البرشاء" },
+  { id: 2, name: "Dubai Marina", nameAr: "مرسى دبي" },
+  { id: 3, name: "Jumeirah Lakes Towers", nameAr: "أبراج بحيرات جميرا" },
+  { id: 4, name: "Al Ain", nameAr: "العين" },
+];
+const thresholds = { minScore: 0.6, confidentScore: 0.85 };
+
+describe("normalizeAreaText", () => {
+  it("lines up English and Arabic spellings", () => {
+    expect(normalizeAreaText("Al-Barsha")).toBe("barsha");
+    expect(normalizeAreaText("barsha")).toBe("barsha");
+    expect(normalizeAreaText("البَرشاء")).toBe("برشاء");
+    expect(normalizeAreaText("أبراج جميرة")).toBe("ابراج جميره");
+  });
+});
+
+describe("resolveArea", () => {
+  it("matches names inside address lines", () => {
+    expect(resolveArea({ texts: ["Villa 12, Al Barsha 2"], areas, thresholds })).toMatchObject({
+      areaId: 1,
+      score: 1,
+      confident: true,
+    });
+  });
+
+  it("matches Arabic names", () => {
+    expect(resolveArea({ texts: ["شقة 5 مرسى دبي"], areas, thresholds })?.areaId).toBe(2);
+  });
+
+  it("uses built-in and merchant aliases", () => {
+    expect(resolveArea({ texts: ["Cluster X, JLT"], areas, thresholds })).toMatchObject({
+      areaId: 3,
+      matchedOn: 'alias "jlt"',
+    });
+
+    expect(resolveArea({
+      texts: ["The Greens, building 4"],
+      areas,
+      aliases: [{ alias: "The Greens", areaId: 2 }],
+      thresholds,
+    })).toMatchObject({ areaId: 2, matchedOn: 'alias "The Greens"' });
+  });
+
+  it("flags fuzzy matches below the confident score", () => {
+    const match = resolveArea({ texts: ["Barshaa"], areas, thresholds });
+
+    expect(match?.areaId).toBe(1);
+    expect(match.score).toBeLessThan(1);
+    expect(match.confident).toBe(match.score >= thresholds.confidentScore);
+  });
+
+  it("returns null when nothing scores above the minimum", () => {
+    expect(resolveArea({ texts: ["Flat 5 Main road"], areas: areas.slice(0, 3), thresholds })).toBeNull();
+    expect(resolveArea({ texts: [], areas, thresholds })).toBeNull();
+    expect(resolveArea({ texts: ["Al Barsha"], areas: [], thresholds })).toBeNull();
+  });
+});
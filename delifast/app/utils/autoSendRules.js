@@ -0,0 +1,253 @@
+/**
+ * Auto-send Rules
+ * Conditional rules that decide whether an order is sent to Delifast automatically
+ */
+
+import { getDeliveryAddress } from './deliveryAddress';
+
+/**
+ * Order fields a rule can test
+ * type decides which operators apply: text, list or number
+ * getValue receives the order and { addressSource } from the store settings
+ */
+export const RULE_FIELDS = {
+  shipping_title: {
+    label: 'Shipping method title',
+    type: 'text',
+    getValue: (order) => (order.shipping_lines || []).map(line => line.title || ''),
+  },
+  country: {
+    label: 'Country code',
+    type: 'text',
+    getValue: (order, context) => {
+      const address = getDeliveryAddress(order, context.addressSource);
+      return [address.country_code || address.country || ''];
+    },
+  },
+  tags: {
+    label: 'Order tags',
+    type: 'list',
+    getValue: (order) => String(order.tags || '')
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(Boolean),
+  },
+  total: {
+    label: 'Order total',
+    type: 'number',
+    getValue: (order) => parseFloat(order.total_price || 0),
+  },
+  gateway: {
+    label: 'Payment gateway',
+    type: 'text',
+    getValue: (order) => [
+      ...(order.payment_gateway_names || []),
+      order.gateway || '',
+    ].filter(Boolean),
+  },
+  financial_status: {
+    label: 'Financial status',
+    type: 'text',
+    getValue: (order) => [order.financial_status || ''],
+  },
+};
+
+/**
+ * Operators by field type
+ */
+export const RULE_OPERATORS = {
+  text: {
+    equals: 'is',
+    not_equals: 'is not',
+    contains: 'contains',
+    not_contains: 'does not contain',
+  },
+  list: {
+    includes: 'has',
+    excludes: 'does not have',
+  },
+  number: {
+    gte: 'is at least',
+    lte: 'is at most',
+    between: 'is between (min-max)',
+  },
+};
+
+/**
+ * Parse a number as merchants type it: "1,000", " 250.5 ", "-10"
+ * @param {string|number} value - Number text
+ * @returns {number|null} Number, or null if the text isn't a number
+ */
+export function parseRuleNumber(value) {
+  const text = String(value ?? '').replace(/[,\s]/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+  return Number(text);
+}
+
+/**
+ * Parse a "min-max" range ("100-500", "1,000 - 2,500", "-10--5")
+ * @param {string} value - Range text
+ * @returns {Object|null} { min, max }, or null if not a valid range
+ */
+export function parseRuleRange(value) {
+  const match = String(value ?? '').match(/^\s*(-?[\d,.\s]*?\d)\s*(?:-|to)\s*(-?[\d,.\s]*\d)\s*$/i);
+  if (!match) return null;
+
+  const min = parseRuleNumber(match[1]);
+  const max = parseRuleNumber(match[2]);
+  if (min === null || max === null || min > max) return null;
+
+  return { min, max };
+}
+
+/**
+ * Default rule set: no conditions, every order matches
+ */
+export const DEFAULT_RULE_SET = {
+  match: 'all',
+  conditions: [],
+};
+
+/**
+ * Parse a stored rule set (JSON string) with safe defaults
+ * @param {string|Object|null} value - Stored rule set
+ * @returns {Object} Rule set { match, conditions }
+ */
+export function parseRuleSet(value) {
+  if (!value) return { ...DEFAULT_RULE_SET };
+
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return {
+      match: parsed.match === 'any' ? 'any' : 'all',
+      conditions: Array.isArray(parsed.conditions)
+        ? parsed.conditions.filter(c => RULE_FIELDS[c?.field])
+        : [],
+    };
+  } catch {
+    return { ...DEFAULT_RULE_SET };
+  }
+}
+
+/**
+ * Validate a submitted rule set and normalize its numeric values
+ * ("1,000" -> "1000", "100 - 500" -> "100-500")
+ * @param {string|Object|null} value - Submitted rule set
+ * @returns {Object} { ruleSet, errors } - errors name the conditions that can't be saved
+ */
+export function validateRuleSet(value) {
+  const ruleSet = parseRuleSet(value);
+  const errors = [];
+
+  const conditions = ruleSet.conditions.map(condition => {
+    const field = RULE_FIELDS[condition.field];
+
+    if (!RULE_OPERATORS[field.type][condition.operator]) {
+      errors.push(`${field.label}: unknown operator "${condition.operator}"`);
+      return condition;
+    }
+
+    if (field.type !== 'number') return condition;
+
+    if (condition.operator === 'between') {
+      const range = parseRuleRange(condition.value);
+      if (!range) {
+        errors.push(`${field.label}: "${condition.value ?? ''}" is not a range like 100-500`);
+        return condition;
+      }
+      return { ...condition, value: `${range.min}-${range.max}` };
+    }
+
+    const number = parseRuleNumber(condition.value);
+    if (number === null) {
+      errors.push(`${field.label}: "${condition.value ?? ''}" is not a number`);
+      return condition;
+    }
+    return { ...condition, value: String(number) };
+  });
+
+  return { ruleSet: { ...ruleSet, conditions }, errors };
+}
+
+/**
+ * Describe a condition in plain words (used in skip reasons and the editor)
+ * @param {Object} condition - { field, operator, value }
+ * @returns {string} Description
+ */
+export function describeCondition(condition) {
+  const field = RULE_FIELDS[condition.field];
+  const operatorLabel = RULE_OPERATORS[field?.type]?.[condition.operator] || condition.operator;
+  return `${field?.label || condition.field} ${operatorLabel} "${condition.value ?? ''}"`;
+}
+
+/**
+ * Test a single condition against an order
+ * Number conditions with a value that isn't a number never hold.
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} order - Shopify order (webhook payload shape)
+ * @param {Object} context - { addressSource } store address source setting
+ * @returns {boolean} Whether the condition holds
+ */
+export function evaluateCondition(condition, order, context = {}) {
+  const field = RULE_FIELDS[condition.field];
+  if (!field) return false;
+
+  const actual = field.getValue(order, context);
+  const expected = String(condition.value ?? '').trim();
+  const expectedLower = expected.toLowerCase();
+
+  switch (condition.operator) {
+    case 'equals':
+      return actual.some(v => v.toLowerCase() === expectedLower);
+    case 'not_equals':
+      return !actual.some(v => v.toLowerCase() === expectedLower);
+    case 'contains':
+      return actual.some(v => v.toLowerCase().includes(expectedLower));
+    case 'not_contains':
+      return !actual.some(v => v.toLowerCase().includes(expectedLower));
+    case 'includes':
+      return actual.some(v => v.toLowerCase() === expectedLower);
+    case 'excludes':
+      return !actual.some(v => v.toLowerCase() === expectedLower);
+    case 'gte': {
+      const min = parseRuleNumber(expected);
+      return min !== null && actual >= min;
+    }
+    case 'lte': {
+      const max = parseRuleNumber(expected);
+      return max !== null && actual <= max;
+    }
+    case 'between': {
+      const range = parseRuleRange(expected);
+      return range !== null && actual >= range.min && actual <= range.max;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a rule set against an order
+ * @param {Object} ruleSet - { match: "all"|"any", conditions }
+ * @param {Object} order - Shopify order (webhook payload shape)
+ * @param {Object} context - { addressSource } store address source setting
+ * @returns {Object} { matched, reasons } - reasons lists the conditions that failed
+ */
+export function evaluateRules(ruleSet, order, context = {}) {
+  const { match, conditions } = parseRuleSet(ruleSet);
+
+  if (conditions.length === 0) {
+    return { matched: true, reasons: [] };
+  }
+
+  const failed = conditions.filter(condition => !evaluateCondition(condition, order, context));
+
+  const matched = match === 'any'
+    ? failed.length < conditions.length
+    : failed.length === 0;
+
+  return {
+    matched,
+    reasons: matched ? [] : failed.map(c => `Condition not met: ${describeCondition(c)}`),
+  };
+}
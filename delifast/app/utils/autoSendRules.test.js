@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseRuleNumber,
+  parseRuleRange,
+  parseRuleSet,
+  validateRuleSet,
+  evaluateCondition,
+  evaluateRules,
+} from "./autoSendRules";
+
+const order = {
+  total_price: "1500.00",
+  tags: "VIP, Wholesale",
+  gateway: "Cash on Delivery (COD)",
+  financial_status: "pending",
+  shipping_lines: [{ title: "Express Delivery" }],
+  shipping_address: { country_code: "AE", city: "Dubai" },
+  billing_address: { country_code: "SA", address1: "King Fahd Rd" },
+};
+
+describe("numbers", () => {
+  it("reads numbers as merchants type them", () => {
+    expect(parseRuleNumber("1,000")).toBe(1000);
+    expect(parseRuleNumber(" 250.5 ")).toBe(250.5);
+    expect(parseRuleNumber("-10")).toBe(-10);
+    expect(parseRuleNumber("abc")).toBeNull();
+    expect(parseRuleNumber("")).toBeNull();
+  });
+
+  it("reads ranges, including negative and formatted bounds", () => {
+    expect(parseRuleRange("100-500")).toEqual({ min: 100, max: 500 });
+    expect(parseRuleRange("1,000 - 2,500")).toEqual({ min: 1000, max: 2500 });
+    expect(parseRuleRange("-10--5")).toEqual({ min: -10, max: -5 });
+    expect(parseRuleRange("100 to 200")).toEqual({ min: 100, max: 200 });
+    expect(parseRuleRange("500-100")).toBeNull();
+    expect(parseRuleRange("abc")).toBeNull();
+  });
+});
+
+describe("validateRuleSet", () => {
+  it("normalizes numeric values", () => {
+    const { ruleSet, errors } = validateRuleSet({
+      match: "all",
+      conditions: [
+        { field: "total", operator: "gte", value: "1,000" },
+        { field: "total", operator: "between", value: "100 - 2,500" },
+      ],
+    });
+
+    expect(errors).toEqual([]);
+    expect(ruleSet.conditions.map((c) => c.value)).toEqual(["1000", "100-2500"]);
+  });
+
+  it("rejects values that aren't numbers or ranges", () => {
+    const { errors } = validateRuleSet(JSON.stringify({
+      conditions: [
+        { field: "total", operator: "lte", value: "abc" },
+        { field: "total", operator: "between", value: "500" },
+        { field: "tags", operator: "gte", value: "VIP" },
+      ],
+    }));
+
+    expect(errors).toHaveLength(3);
+  });
+
+  it("drops unknown fields and defaults the match", () => {
+    expect(parseRuleSet({ match: "x", conditions: [{ field: "nope" }] })).toEqual({
+      match: "all",
+      conditions: [],
+    });
+    expect(parseRuleSet("not json")).toEqual({ match: "all", conditions: [] });
+  });
+});
+
+describe("evaluateCondition", () => {
+  it("compares text case-insensitively", () => {
+    expect(evaluateCondition({ field: "shipping_title", operator: "contains", value: "express" }, order)).toBe(true);
+    expect(evaluateCondition({ field: "tags", operator: "includes", value: "vip" }, order)).toBe(true);
+    expect(evaluateCondition({ field: "tags", operator: "excludes", value: "vip" }, order)).toBe(false);
+  });
+
+  it("compares numbers, and never matches on a non-numeric value", () => {
+    expect(evaluateCondition({ field: "total", operator: "gte", value: "1,000" }, order)).toBe(true);
+    expect(evaluateCondition({ field: "total", operator: "lte", value: "1000" }, order)).toBe(false);
+    expect(evaluateCondition({ field: "total", operator: "between", value: "1,000-2,000" }, order)).toBe(true);
+    expect(evaluateCondition({ field: "total", operator: "gte", value: "abc" }, order)).toBe(false);
+  });
+
+  it("reads the country from the store's delivery address", () => {
+    const condition = { field: "country", operator: "equals", value: "SA" };
+
+    expect(evaluateCondition(condition, order)).toBe(false);
+    expect(evaluateCondition(condition, order, { addressSource: "billing_shipping" })).toBe(true);
+  });
+});
+
+describe("evaluateRules", () => {
+  const conditions = [
+    { field: "total", operator: "gte", value: "2000" },
+    { field: "tags", operator: "includes", value: "VIP" },
+  ];
+
+  it("matches everything without conditions", () => {
+    expect(evaluateRules(null, order)).toEqual({ matched: true, reasons: [] });
+  });
+
+  it("requires every condition for all, one for any", () => {
+    const all = evaluateRules({ match: "all", conditions }, order);
+    expect(all.matched).toBe(false);
+    expect(all.reasons).toEqual(['Condition not met: Order total is at least "2000"']);
+
+    expect(evaluateRules({ match: "any", conditions }, order).matched).toBe(true);
+  });
+});
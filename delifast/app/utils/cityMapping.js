@@ -1,6 +1,10 @@
 /**
  * UAE City/Emirate Mapping
  * Maps Shopify province codes to Delifast city IDs
+ *
+ * The functions accept an optional catalog (cities synced from Delifast, see
+ * catalog.server.js). When it is provided, names are resolved against it so new
+ * Delifast cities work without a code change; the built-in maps are the fallback.
  */
 
 /**
@@ -75,17 +79,70 @@ export const emirateNameMap = {
  */
 export const DEFAULT_CITY_ID = 13; // "Unknown" or default
 
+/**
+ * Normalize a city name for comparison (case, spacing, Arabic letter variants)
+ * @param {string} name - City name
+ * @returns {string} Normalized name
+ */
+export function normalizeCityName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/[\s\-_'.]+/g, '');
+}
+
+/**
+ * Find a catalog city by English or Arabic name
+ * @param {Array} catalog - Catalog cities [{ id, name, nameAr }]
+ * @param {string[]} names - Candidate names
+ * @returns {number|null} City ID
+ */
+function findCatalogCity(catalog, names) {
+  const wanted = names.filter(Boolean).map(normalizeCityName);
+
+  const city = catalog.find(c =>
+    wanted.includes(normalizeCityName(c.name)) ||
+    (c.nameAr && wanted.includes(normalizeCityName(c.nameAr)))
+  );
+
+  return city ? city.id : null;
+}
+
 /**
  * Map a province/state value to Delifast city ID
  * @param {string} province - The province code or name from Shopify
  * @param {number} defaultCityId - Default city ID from settings
+ * @param {Array|null} catalog - Synced catalog cities (optional)
  * @returns {number} Delifast city ID
  */
-export function mapProvinceToCity(province, defaultCityId = DEFAULT_CITY_ID) {
+export function mapProvinceToCity(province, defaultCityId = DEFAULT_CITY_ID, catalog = null) {
   if (!province) {
     return defaultCityId;
   }
 
+  // 0. Resolve against the synced catalog: the value itself, or the English
+  //    name of the emirate it maps to in the built-in tables
+  if (catalog?.length) {
+    const builtInId = mapProvinceToCity(province, null);
+    const catalogId = findCatalogCity(catalog, [
+      province,
+      builtInId !== null ? builtInCityName(builtInId) : null,
+    ]);
+
+    if (catalogId !== null) {
+      return catalogId;
+    }
+
+    const provinceNum = parseInt(province);
+    if (!isNaN(provinceNum) && catalog.some(c => c.id === provinceNum)) {
+      return provinceNum;
+    }
+
+    return defaultCityId;
+  }
+
   // 1. Try exact match with emirate codes
   if (emirateCodeMap[province]) {
     return emirateCodeMap[province];
@@ -123,10 +180,9 @@ export function mapProvinceToCity(province, defaultCityId = DEFAULT_CITY_ID) {
 }
 
 /**
- * Get all available cities for dropdown
- * @returns {Array} List of cities with id, name, and Arabic name
+ * Built-in city list (used until the catalog has been synced)
  */
-export function getAvailableCities() {
+function builtInCities() {
   return [
     { id: 5, name: 'Abu Dhabi', nameAr: 'أبوظبي' },
     { id: 6, name: 'Ajman', nameAr: 'عجمان' },
@@ -141,13 +197,33 @@ export function getAvailableCities() {
   ];
 }
 
+/**
+ * English name of a built-in city ID
+ */
+function builtInCityName(cityId) {
+  return builtInCities().find(c => c.id === cityId)?.name || null;
+}
+
+/**
+ * Get all available cities for dropdown
+ * @param {Array|null} catalog - Synced catalog cities (optional)
+ * @returns {Array} List of cities with id, name, and Arabic name
+ */
+export function getAvailableCities(catalog = null) {
+  if (catalog?.length) {
+    return catalog.map(({ id, name, nameAr }) => ({ id, name, nameAr }));
+  }
+  return builtInCities();
+}
+
 /**
  * Get city name by ID
  * @param {number} cityId - City ID
+ * @param {Array|null} catalog - Synced catalog cities (optional)
  * @returns {string} City name
  */
-export function getCityName(cityId) {
-  const cities = getAvailableCities();
-  const city = cities.find(c => c.id === cityId);
+export function getCityName(cityId, catalog = null) {
+  const cities = getAvailableCities(catalog);
+  const city = cities.find(c => c.id === Number(cityId));
   return city?.name || 'Unknown';
 }
@@ -0,0 +1,107 @@
+/**
+ * Currency Utilities
+ * Converts order amounts to AED, the only currency Delifast collects in
+ */
+
+/**
+ * Currency of every amount sent to Delifast
+ */
+export const DELIFAST_CURRENCY = 'AED';
+
+/**
+ * Parse the store's exchange rate table
+ * @param {string|null} value - JSON object of currency code -> AED per unit, e.g. { "USD": 3.6725 }
+ * @returns {Object} Rates keyed by upper-case currency code (invalid entries dropped)
+ */
+export function parseCurrencyRates(value) {
+  if (!value) return {};
+
+  let parsed;
+  try {
+    parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch {
+    return {};
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(parsed)
+      .map(([code, rate]) => [String(code).trim().toUpperCase(), parseFloat(rate)])
+      .filter(([code, rate]) => /^[A-Z]{3}$/.test(code) && rate > 0)
+  );
+}
+
+/**
+ * Parse rate table text as entered in settings ("USD = 3.6725", one per line)
+ * @param {string} text - Rate lines
+ * @returns {Object} { rates, errors } - errors lists the lines that could not be read
+ */
+export function parseCurrencyRateLines(text) {
+  const rates = {};
+  const errors = [];
+
+  for (const line of String(text || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    const match = trimmed.match(/^([A-Za-z]{3})\s*[=:]\s*([\d.]+)$/);
+    const rate = match ? parseFloat(match[2]) : NaN;
+
+    if (!match || !(rate > 0)) {
+      errors.push(trimmed);
+      continue;
+    }
+
+    rates[match[1].toUpperCase()] = rate;
+  }
+
+  return { rates, errors };
+}
+
+/**
+ * Format a rate table as settings text
+ * @param {Object} rates - Parsed rates
+ * @returns {string} One "CODE = rate" line per currency
+ */
+export function formatCurrencyRates(rates) {
+  return Object.entries(rates || {})
+    .map(([code, rate]) => `${code} = ${rate}`)
+    .join('\n');
+}
+
+/**
+ * Find the AED exchange rate for an order's shop-currency amounts
+ * Tried in order: amounts already in AED, the order's own exchange data
+ * (presentment money in AED), then the store's rate table.
+ * @param {Object} order - Shopify order object
+ * @param {Object} rates - Parsed rate table
+ * @returns {Object} { currency, rate, source } - rate and source are null when no rate is known
+ */
+export function getAedRate(order, rates = {}) {
+  const priceSet = order.current_total_price_set || order.total_price_set;
+  const currency = String(
+    priceSet?.shop_money?.currency_code || order.currency || DELIFAST_CURRENCY
+  ).toUpperCase();
+
+  if (currency === DELIFAST_CURRENCY) {
+    return { currency, rate: 1, source: 'shop_currency' };
+  }
+
+  // The customer paid in AED: use the rate Shopify applied to the order
+  const shopAmount = parseFloat(priceSet?.shop_money?.amount);
+  const presentmentAmount = parseFloat(priceSet?.presentment_money?.amount);
+  const presentmentCurrency = String(priceSet?.presentment_money?.currency_code || '').toUpperCase();
+
+  if (presentmentCurrency === DELIFAST_CURRENCY && shopAmount > 0 && presentmentAmount > 0) {
+    return { currency, rate: presentmentAmount / shopAmount, source: 'order' };
+  }
+
+  if (rates[currency]) {
+    return { currency, rate: rates[currency], source: 'rate_table' };
+  }
+
+  return { currency, rate: null, source: null };
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCurrencyRates,
+  parseCurrencyRateLines,
+  formatCurrencyRates,
+  getAedRate,
+} from "./currency";
+
+describe("rate table", () => {
+  it("parses stored rates and drops invalid entries", () => {
+    expect(parseCurrencyRates('{"usd": "3.6725", "EUR": 0, "XX": 2}')).toEqual({ USD: 3.6725 });
+    expect(parseCurrencyRates("not json")).toEqual({});
+    expect(parseCurrencyRates("[1, 2]")).toEqual({});
+  });
+
+  it("parses and formats settings lines", () => {
+    const { rates, errors } = parseCurrencyRateLines("usd = 3.6725\nSAR: 0.98\n\nEUR = abc");
+
+    expect(rates).toEqual({ USD: 3.6725, SAR: 0.98 });
+    expect(errors).toEqual(["EUR = abc"]);
+    expect(formatCurrencyRates(rates)).toBe("USD = 3.6725\nSAR = 0.98");
+  });
+});
+
+describe("getAedRate", () => {
+  it("uses 1 for AED stores", () => {
+    expect(getAedRate({ currency: "AED" })).toEqual({ currency: "AED", rate: 1, source: "shop_currency" });
+    expect(getAedRate({})).toMatchObject({ rate: 1 });
+  });
+
+  it("uses the order's own rate when the customer paid in AED", () => {
+    const order = {
+      current_total_price_set: {
+        shop_money: { amount: "100.00", currency_code: "USD" },
+        presentment_money: { amount: "367.25", currency_code: "AED" },
+      },
+    };
+
+    expect(getAedRate(order, { USD: 3.6 })).toEqual({ currency: "USD", rate: 3.6725, source: "order" });
+  });
+
+  it("falls back to the rate table, then to no rate", () => {
+    expect(getAedRate({ currency: "USD" }, { USD: 3.6725 })).toEqual({
+      currency: "USD",
+      rate: 3.6725,
+      source: "rate_table",
+    });
+    expect(getAedRate({ currency: "EUR" }, { USD: 3.6725 })).toEqual({
+      currency: "EUR",
+      rate: null,
+      source: null,
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Delivery Address
+ * Picks the consignee address of an order and decides whether it is delivered at all
+ */
+
+/**
+ * Address lookup order per addressSource setting
+ */
+const ADDRESS_SOURCES = {
+  shipping_billing: ['shipping_address', 'billing_address'],
+  shipping_only: ['shipping_address'],
+  billing_shipping: ['billing_address', 'shipping_address'],
+};
+
+/**
+ * Shipping line titles/codes of local pickup rates (webhook payloads carry
+ * no delivery category)
+ */
+const PICKUP_SHIPPING_PATTERN = /pick\s*-?\s*up|استلام/i;
+
+/**
+ * Whether an address has enough to deliver to (a street or a city)
+ */
+function isDeliverableAddress(address) {
+  return !!address?.address1 || !!address?.city;
+}
+
+/**
+ * Whether the customer picks the order up (local pickup delivery method)
+ */
+function isPickupOrder(order) {
+  return (order?.shipping_lines || []).some(line =>
+    /pick_?up/i.test(line.delivery_category || '') ||
+    PICKUP_SHIPPING_PATTERN.test(`${line.title || ''} ${line.code || ''}`)
+  );
+}
+
+/**
+ * Build the delivery address according to the store's address source setting
+ * The first address in the source order is used, with its empty fields filled
+ * from the other address. Only orders with a shipping address are delivered
+ * (see hasDeliveryAddress); the billing address never stands in for it.
+ * @param {Object} order - Shopify order object
+ * @param {string} addressSource - "shipping_billing", "shipping_only" or "billing_shipping"
+ * @returns {Object} Address (empty object if none)
+ */
+export function getDeliveryAddress(order, addressSource = 'shipping_billing') {
+  const fields = ADDRESS_SOURCES[addressSource] || ADDRESS_SOURCES.shipping_billing;
+  const addresses = fields.map(field => order?.[field]).filter(Boolean);
+  const primary = addresses.find(isDeliverableAddress);
+
+  if (!primary) return {};
+
+  const address = { ...primary };
+
+  for (const fallback of addresses.filter(a => a !== primary)) {
+    for (const [key, value] of Object.entries(fallback)) {
+      if ((address[key] === null || address[key] === undefined || address[key] === '') && value) {
+        address[key] = value;
+      }
+    }
+  }
+
+  return address;
+}
+
+/**
+ * Check whether an order is delivered at all: it needs a shipping address
+ * and a delivery method other than local pickup. Pickup orders still carry
+ * a billing address, so the address source setting doesn't apply here.
+ * @param {Object} order - Shopify order object
+ * @returns {boolean} True if the order can be delivered
+ */
+export function hasDeliveryAddress(order) {
+  return isDeliverableAddress(order?.shipping_address) && !isPickupOrder(order);
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { getDeliveryAddress, hasDeliveryAddress } from "./deliveryAddress";
+
+const shipping = { first_name: "Sara", address1: "Villa 4", city: "Dubai", phone: "" };
+const billing = { first_name: "Omar", address1: "Office 9", city: "Sharjah", phone: "0501234567" };
+
+describe("getDeliveryAddress", () => {
+  it("uses the first address of the source and fills its empty fields", () => {
+    expect(getDeliveryAddress({ shipping_address: shipping, billing_address: billing })).toEqual({
+      ...shipping,
+      phone: "0501234567",
+    });
+
+    expect(getDeliveryAddress({ shipping_address: shipping, billing_address: billing }, "billing_shipping"))
+      .toEqual(billing);
+  });
+
+  it("never fills from billing with shipping only", () => {
+    expect(getDeliveryAddress({ shipping_address: shipping, billing_address: billing }, "shipping_only"))
+      .toEqual(shipping);
+  });
+
+  it("returns an empty object when no address is usable", () => {
+    expect(getDeliveryAddress({ shipping_address: { first_name: "Sara" } }, "shipping_only")).toEqual({});
+  });
+});
+
+describe("hasDeliveryAddress", () => {
+  it("needs a shipping address whatever the billing address", () => {
+    expect(hasDeliveryAddress({ shipping_address: shipping })).toBe(true);
+    expect(hasDeliveryAddress({ billing_address: billing })).toBe(false);
+  });
+
+  it("skips local pickup orders", () => {
+    expect(hasDeliveryAddress({
+      shipping_address: shipping,
+      shipping_lines: [{ title: "Standard", delivery_category: "local_pickup" }],
+    })).toBe(false);
+
+    expect(hasDeliveryAddress({
+      shipping_address: shipping,
+      shipping_lines: [{ title: "Store Pick-up", code: "Main store" }],
+    })).toBe(false);
+
+    expect(hasDeliveryAddress({
+      shipping_address: shipping,
+      shipping_lines: [{ title: "Express Delivery", code: "express" }],
+    })).toBe(true);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Delivery Schedule Utilities
+ * Parses the requested delivery date and time slot from checkout attributes
+ * and checks them against the store's cutoff time and blocked dates
+ */
+
+import { toWesternDigits } from './phone';
+
+/**
+ * Delivery dates and cutoff times are in UAE time (no daylight saving)
+ */
+export const DELIVERY_TIME_ZONE = 'Asia/Dubai';
+const DELIVERY_UTC_OFFSET = '+04:00';
+
+/**
+ * Weekday names, index = Date#getUTCDay()
+ */
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Format a Y/M/D triple as "YYYY-MM-DD", or null when it isn't a real date
+ */
+function toDateString(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" date
+ */
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Current date and time in UAE time
+ * @param {Date} now - Moment to convert
+ * @returns {Object} { date: "YYYY-MM-DD", time: "HH:MM" }
+ */
+export function getLocalDateTime(now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: DELIVERY_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(now)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Start of a UAE day as a Date
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {Date} Midnight UAE time
+ */
+export function startOfLocalDay(dateString) {
+  return new Date(`${dateString}T00:00:00${DELIVERY_UTC_OFFSET}`);
+}
+
+/**
+ * Parse a delivery date as customers and date pickers write it
+ * Accepts "2026-10-25", "25/10/2026", "25-10-2026", "25.10.2026" (day first),
+ * Arabic-Indic digits and text dates such as "October 25, 2026".
+ * @param {string} value - Attribute value
+ * @returns {string|null} "YYYY-MM-DD" or null if it can't be read
+ */
+export function parseDeliveryDate(value) {
+  const text = toWesternDigits(value).trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) {
+    return toDateString(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (match) {
+    return toDateString(Number(match[3]), Number(match[2]), Number(match[1]));
+  }
+
+  const parsed = new Date(text);
+  if (/[a-z]/i.test(text) && !isNaN(parsed.getTime())) {
+    return toDateString(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+
+  return null;
+}
+
+/**
+ * Convert "2", "2:30", "2pm" parts to "HH:MM"
+ */
+function toTime(hours, minutes, meridiem) {
+  let h = Number(hours);
+  const m = Number(minutes || 0);
+
+  if (meridiem) {
+    const pm = meridiem.toLowerCase() === 'pm';
+    if (h === 12) h = pm ? 12 : 0;
+    else if (pm) h += 12;
+  }
+
+  if (h > 23 || m > 59) return null;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a delivery time slot
+ * "10:00 - 14:00", "10am to 2pm" and "2-6 PM" are read as a range;
+ * anything else ("Morning") is kept as a label only.
+ * @param {string} value - Attribute value
+ * @returns {Object|null} { label, from, to } (from/to "HH:MM" or null)
+ */
+export function parseDeliverySlot(value) {
+  const label = toWesternDigits(value).trim();
+  if (!label) return null;
+
+  const match = label.match(
+    /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|to|until|الى|إلى)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i
+  );
+
+  if (!match) {
+    return { label, from: null, to: null };
+  }
+
+  const to = toTime(match[4], match[5], match[6]);
+
+  // "2-6 PM": the end's meridiem applies to the start too, unless that puts
+  // the start after the end ("9-1 PM")
+  let from = toTime(match[1], match[2], match[3]);
+  if (!match[3] && match[6]) {
+    const sameMeridiem = toTime(match[1], match[2], match[6]);
+    if (sameMeridiem && to && sameMeridiem < to) {
+      from = sameMeridiem;
+    }
+  }
+
+  return { label, from, to };
+}
+
+/**
+ * Parse the blocked weekdays setting
+ * @param {string} value - Comma-separated weekday numbers (0 = Sunday, 5 = Friday)
+ * @returns {number[]} Weekdays
+ */
+export function parseBlockedWeekdays(value) {
+  return String(value || '')
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => day >= 0 && day <= 6);
+}
+
+/**
+ * Parse the blocked dates setting (public holidays)
+ * @param {string} value - Dates separated by commas or new lines
+ * @returns {Object} { dates, errors } - dates as "YYYY-MM-DD", errors lists unreadable entries
+ */
+export function parseBlockedDates(value) {
+  const dates = [];
+  const errors = [];
+
+  for (const entry of String(value || '').split(/[,\n]/)) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const date = parseDeliveryDate(trimmed);
+    if (date) {
+      dates.push(date);
+    } else {
+      errors.push(trimmed);
+    }
+  }
+
+  return { dates: [...new Set(dates)].sort(), errors };
+}
+
+/**
+ * Read an attribute from the order's checkout attributes (case-insensitive name)
+ */
+function getAttribute(order, name) {
+  if (!name) return null;
+
+  const wanted = name.trim().toLowerCase();
+  const attribute = (order?.note_attributes || []).find(
+    a => String(a.name || '').trim().toLowerCase() === wanted
+  );
+
+  return attribute?.value ?? null;
+}
+
+/**
+ * Resolve the requested delivery date and when the order should be sent
+ * @param {Object} order - Shopify order (note_attributes)
+ * @param {Object} settings - Store settings (delivery attributes, cutoff, blocked dates, lead days)
+ * @param {Date} now - Current time
+ * @returns {Object} { status, message, date, slot, sendOn, scheduled }
+ *   status: "none" (no date requested), "ok", "invalid", "past", "blocked" or "cutoff";
+ *   date is null unless the requested date can be used
+ */
+export function resolveDeliverySchedule(order, settings, now = new Date()) {
+  const rawDate = getAttribute(order, settings.deliveryDateField);
+  const slot = parseDeliverySlot(getAttribute(order, settings.deliverySlotField));
+  const result = { status: 'none', message: null, date: null, slot, sendOn: null, scheduled: false };
+
+  if (!rawDate || !String(rawDate).trim()) {
+    return result;
+  }
+
+  const date = parseDeliveryDate(rawDate);
+  const today = getLocalDateTime(now);
+
+  if (!date) {
+    return { ...result, status: 'invalid', message: `Delivery date "${rawDate}" could not be read` };
+  }
+
+  if (date < today.date) {
+    return { ...result, status: 'past', message: `Requested delivery date ${date} has passed` };
+  }
+
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (parseBlockedWeekdays(settings.blockedWeekdays).includes(weekday)) {
+    return {
+      ...result,
+      status: 'blocked',
+      message: `No deliveries on ${WEEKDAY_NAMES[weekday]}s (requested ${date})`,
+    };
+  }
+
+  if (parseBlockedDates(settings.blockedDates).dates.includes(date)) {
+    return { ...result, status: 'blocked', message: `No deliveries on ${date} (blocked date)` };
+  }
+
+  if (date === today.date && settings.deliveryCutoffTime && today.time >= settings.deliveryCutoffTime) {
+    return {
+      ...result,
+      status: 'cutoff',
+      message: `Same-day delivery requested after the ${settings.deliveryCutoffTime} cutoff`,
+    };
+  }
+
+  const sendOn = addDays(date, -(settings.scheduleLeadDays || 0));
+
+  return {
+    ...result,
+    status: 'ok',
+    date,
+    sendOn,
+    scheduled: sendOn > today.date,
+  };
+}
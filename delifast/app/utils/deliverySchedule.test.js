@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseDeliveryDate,
+  parseDeliverySlot,
+  parseBlockedWeekdays,
+  parseBlockedDates,
+  resolveDeliverySchedule,
+  startOfLocalDay,
+} from "./deliverySchedule";
+
+describe("parseDeliveryDate", () => {
+  it.each([
+    ["2026-10-25", "2026-10-25"],
+    ["25/10/2026", "2026-10-25"],
+    ["25-10-2026", "2026-10-25"],
+    ["25.10.2026", "2026-10-25"],
+    ["٢٥/١٠/٢٠٢٦", "2026-10-25"],
+    ["October 25, 2026", "2026-10-25"],
+  ])("reads %s", (value, expected) => {
+    expect(parseDeliveryDate(value)).toBe(expected);
+  });
+
+  it("returns null for unreadable dates", () => {
+    expect(parseDeliveryDate("")).toBeNull();
+    expect(parseDeliveryDate("tomorrow please")).toBeNull();
+    expect(parseDeliveryDate("2026-13-45")).toBeNull();
+  });
+});
+
+describe("parseDeliverySlot", () => {
+  it("reads ranges in 24h and am/pm forms", () => {
+    expect(parseDeliverySlot("10:00 - 14:00")).toMatchObject({ from: "10:00", to: "14:00" });
+    expect(parseDeliverySlot("10am to 2pm")).toMatchObject({ from: "10:00", to: "14:00" });
+    expect(parseDeliverySlot("2-6 PM")).toMatchObject({ from: "14:00", to: "18:00" });
+    expect(parseDeliverySlot("9-1 PM")).toMatchObject({ from: "09:00", to: "13:00" });
+  });
+
+  it("keeps other text as a label", () => {
+    expect(parseDeliverySlot("Morning")).toEqual({ label: "Morning", from: null, to: null });
+    expect(parseDeliverySlot("")).toBeNull();
+  });
+});
+
+describe("blocked days", () => {
+  it("parses weekdays and dates", () => {
+    expect(parseBlockedWeekdays("5, 6, 9, x")).toEqual([5, 6]);
+    expect(parseBlockedDates("2026-12-03\n02/12/2026, nope")).toEqual({
+      dates: ["2026-12-02", "2026-12-03"],
+      errors: ["nope"],
+    });
+  });
+});
+
+describe("resolveDeliverySchedule", () => {
+  const settings = {
+    deliveryDateField: "Delivery Date",
+    deliverySlotField: "Delivery Time",
+    deliveryCutoffTime: "14:00",
+    blockedWeekdays: "5",
+    blockedDates: "2026-12-02",
+    scheduleLeadDays: 1,
+  };
+  // Monday 19 October 2026, 10:00 in Dubai
+  const now = new Date("2026-10-19T06:00:00Z");
+  const orderFor = (date, slot) => ({
+    note_attributes: [
+      { name: "delivery date", value: date },
+      ...(slot ? [{ name: "Delivery Time", value: slot }] : []),
+    ],
+  });
+
+  it("returns none without a requested date", () => {
+    expect(resolveDeliverySchedule({}, settings, now)).toMatchObject({
+      status: "none",
+      scheduled: false,
+    });
+  });
+
+  it("schedules future dates to send the lead days before", () => {
+    expect(resolveDeliverySchedule(orderFor("2026-10-26", "10am-2pm"), settings, now)).toMatchObject({
+      status: "ok",
+      date: "2026-10-26",
+      sendOn: "2026-10-25",
+      scheduled: true,
+      slot: { from: "10:00", to: "14:00" },
+    });
+  });
+
+  it("sends right away when the send day is today", () => {
+    expect(resolveDeliverySchedule(orderFor("2026-10-20"), settings, now)).toMatchObject({
+      status: "ok",
+      sendOn: "2026-10-19",
+      scheduled: false,
+    });
+  });
+
+  it("flags invalid, past, blocked and cutoff dates", () => {
+    expect(resolveDeliverySchedule(orderFor("someday"), settings, now).status).toBe("invalid");
+    expect(resolveDeliverySchedule(orderFor("2026-10-18"), settings, now).status).toBe("past");
+    // 23 October 2026 is a Friday
+    expect(resolveDeliverySchedule(orderFor("2026-10-23"), settings, now).status).toBe("blocked");
+    expect(resolveDeliverySchedule(orderFor("2026-12-02"), settings, now).status).toBe("blocked");
+
+    const afterCutoff = new Date("2026-10-19T11:00:00Z"); // 15:00 in Dubai
+    expect(resolveDeliverySchedule(orderFor("2026-10-19"), settings, afterCutoff).status).toBe("cutoff");
+  });
+
+  it("starts local days at midnight UAE time", () => {
+    expect(startOfLocalDay("2026-10-25").toISOString()).toBe("2026-10-24T20:00:00.000Z");
+  });
+});
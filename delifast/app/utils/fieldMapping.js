@@ -0,0 +1,231 @@
+/**
+ * Field Mapping Templates
+ * Per-store overrides and additions to the Delifast payload, built from
+ * order fields, metafields, checkout attributes, tags or fixed text
+ */
+
+/**
+ * Where a mapped value can come from
+ * value is what the merchant enters: a path, metafield key, attribute name, tag prefix or text
+ */
+export const MAPPING_SOURCES = {
+  order: {
+    label: 'Order field',
+    placeholder: 'shipping_address.company',
+  },
+  metafield: {
+    label: 'Order metafield',
+    placeholder: 'custom.building_number',
+  },
+  attribute: {
+    label: 'Checkout attribute',
+    placeholder: 'Building number',
+  },
+  tag: {
+    label: 'Order tag starting with',
+    placeholder: 'REF-',
+  },
+  literal: {
+    label: 'Text',
+    placeholder: 'Fragile',
+  },
+};
+
+/**
+ * Transforms applied to the combined value, in this order
+ */
+export const MAPPING_TRANSFORMS = {
+  trim: 'Trim spaces',
+  uppercase: 'Uppercase',
+};
+
+/**
+ * Payload fields that can't be mapped (structured data)
+ */
+export const PROTECTED_FIELDS = ['Products'];
+
+/**
+ * An empty mapping as added in the editor
+ */
+export const NEW_FIELD_MAPPING = {
+  field: '',
+  sources: [{ type: 'order', value: '' }],
+  separator: ' ',
+  transforms: ['trim'],
+  defaultValue: '',
+};
+
+/**
+ * Parse stored mappings (JSON string) with safe defaults
+ * Mappings without a valid field name or source are dropped.
+ * @param {string|Array|null} value - Stored mappings
+ * @returns {Array} Mappings { field, sources, separator, transforms, defaultValue }
+ */
+export function parseFieldMappings(value) {
+  if (!value) return [];
+
+  let parsed;
+  try {
+    parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch {
+    return [];
+  }
+
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .map(mapping => ({
+      field: String(mapping?.field || '').trim(),
+      sources: (Array.isArray(mapping?.sources) ? mapping.sources : [])
+        .filter(source => MAPPING_SOURCES[source?.type])
+        .map(source => ({ type: source.type, value: String(source.value ?? '') })),
+      separator: String(mapping?.separator ?? ' '),
+      transforms: (Array.isArray(mapping?.transforms) ? mapping.transforms : [])
+        .filter(transform => MAPPING_TRANSFORMS[transform]),
+      defaultValue: String(mapping?.defaultValue ?? ''),
+    }))
+    .filter(mapping =>
+      /^[A-Za-z_][A-Za-z0-9_]*$/.test(mapping.field) &&
+      !PROTECTED_FIELDS.includes(mapping.field) &&
+      mapping.sources.length > 0
+    );
+}
+
+/**
+ * Metafield keys ("namespace.key") used by a set of mappings
+ * @param {Array} mappings - Parsed mappings
+ * @returns {string[]} Unique keys
+ */
+export function getMappingMetafieldKeys(mappings) {
+  const keys = mappings.flatMap(mapping =>
+    mapping.sources
+      .filter(source => source.type === 'metafield' && source.value.includes('.'))
+      .map(source => source.value.trim())
+  );
+
+  return [...new Set(keys)];
+}
+
+/**
+ * Read a dot path from the order ("shipping_address.company", "line_items.0.sku")
+ * Arrays met along the way are joined with ", ".
+ */
+function getOrderValue(order, path) {
+  let value = order;
+
+  for (const key of path.split('.').map(part => part.trim()).filter(Boolean)) {
+    if (value === null || value === undefined) return '';
+    value = value[key];
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .map(item => (item !== null && typeof item === 'object' ? '' : String(item)))
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  if (value === null || value === undefined || typeof value === 'object') {
+    return '';
+  }
+
+  return String(value);
+}
+
+/**
+ * Resolve one source to text
+ */
+function resolveSource(source, order, metafields) {
+  const value = source.value.trim();
+
+  switch (source.type) {
+    case 'order':
+      return value ? getOrderValue(order, value) : '';
+
+    case 'metafield':
+      return String(metafields[value] ?? '');
+
+    case 'attribute': {
+      const wanted = value.toLowerCase();
+      const attribute = (order?.note_attributes || []).find(
+        a => String(a.name || '').trim().toLowerCase() === wanted
+      );
+      return String(attribute?.value ?? '');
+    }
+
+    case 'tag': {
+      const prefix = value.toLowerCase();
+      const tag = String(order?.tags || '')
+        .split(',')
+        .map(t => t.trim())
+        .find(t => t && t.toLowerCase().startsWith(prefix));
+      return tag || '';
+    }
+
+    case 'literal':
+      return source.value;
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build the value of one mapping: sources joined by the separator (empty
+ * ones skipped), then the transforms, then the default when still empty
+ * @param {Object} mapping - Parsed mapping
+ * @param {Object} order - Shopify order (webhook payload shape)
+ * @param {Object} metafields - "namespace.key" -> value
+ * @returns {string} Mapped value
+ */
+export function resolveFieldMapping(mapping, order, metafields = {}) {
+  let value = mapping.sources
+    .map(source => resolveSource(source, order, metafields))
+    .filter(part => part !== '')
+    .join(mapping.separator);
+
+  if (mapping.transforms.includes('trim')) {
+    value = value.replace(/\s+/g, ' ').trim();
+  }
+
+  if (mapping.transforms.includes('uppercase')) {
+    value = value.toUpperCase();
+  }
+
+  return value === '' ? mapping.defaultValue : value;
+}
+
+/**
+ * Apply mappings to a Delifast payload
+ * Numeric fields (city, amounts, weight) only accept numeric values; mapped
+ * values that aren't numbers are reported and the original value is kept.
+ * @param {Object} orderData - Payload built by the order mapper
+ * @param {Object} order - Shopify order
+ * @param {Array} mappings - Parsed mappings
+ * @param {Object} metafields - "namespace.key" -> value
+ * @returns {Object} { orderData, applied: [{ field, from, to }], errors: [string] }
+ */
+export function applyFieldMappings(orderData, order, mappings, metafields = {}) {
+  const result = { ...orderData };
+  const applied = [];
+  const errors = [];
+
+  for (const mapping of mappings) {
+    const from = result[mapping.field];
+    let to = resolveFieldMapping(mapping, order, metafields);
+
+    if (typeof from === 'number') {
+      const number = Number(to);
+      if (to === '' || isNaN(number)) {
+        errors.push(`${mapping.field}: "${to}" is not a number, kept ${from}`);
+        continue;
+      }
+      to = number;
+    }
+
+    result[mapping.field] = to;
+    applied.push({ field: mapping.field, from: from ?? null, to });
+  }
+
+  return { orderData: result, applied, errors };
+}
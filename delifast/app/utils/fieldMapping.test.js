@@ -0,0 +1,79 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseFieldMappings,
+  getMappingMetafieldKeys,
+  resolveFieldMapping,
+  applyFieldMappings,
+} from "./fieldMapping";
+
+const order = {
+  shipping_address: { company: "  Acme   Trading " },
+  note_attributes: [{ name: "Building Number", value: "12B" }],
+  tags: "VIP, REF-4471",
+  line_items: [{ sku: "A1" }, { sku: "B2" }],
+};
+
+describe("parseFieldMappings", () => {
+  it("drops invalid and protected mappings", () => {
+    const mappings = parseFieldMappings(JSON.stringify([
+      { field: "billing_address_2", sources: [{ type: "order", value: "shipping_address.company" }] },
+      { field: "Products", sources: [{ type: "literal", value: "x" }] },
+      { field: "bad name", sources: [{ type: "literal", value: "x" }] },
+      { field: "remarks", sources: [{ type: "unknown", value: "x" }] },
+    ]));
+
+    expect(mappings).toHaveLength(1);
+    expect(mappings[0]).toMatchObject({ field: "billing_address_2", separator: " ", transforms: [] });
+    expect(parseFieldMappings("not json")).toEqual([]);
+  });
+
+  it("lists the metafield keys used", () => {
+    const mappings = parseFieldMappings([
+      { field: "a", sources: [{ type: "metafield", value: "custom.building" }] },
+      { field: "b", sources: [{ type: "metafield", value: "custom.building" }, { type: "metafield", value: "nodot" }] },
+    ]);
+
+    expect(getMappingMetafieldKeys(mappings)).toEqual(["custom.building"]);
+  });
+});
+
+describe("resolveFieldMapping", () => {
+  it("joins sources, applies transforms and the default", () => {
+    const mapping = {
+      field: "billing_address_2",
+      sources: [
+        { type: "order", value: "shipping_address.company" },
+        { type: "attribute", value: "building number" },
+        { type: "metafield", value: "custom.floor" },
+        { type: "tag", value: "ref-" },
+      ],
+      separator: " / ",
+      transforms: ["trim", "uppercase"],
+      defaultValue: "",
+    };
+
+    expect(resolveFieldMapping(mapping, order, { "custom.floor": "3" })).toBe("ACME TRADING / 12B / 3 / REF-4471");
+    expect(resolveFieldMapping({ ...mapping, sources: [{ type: "tag", value: "none-" }], defaultValue: "N/A" }, order)).toBe("N/A");
+  });
+
+  it("joins arrays met along an order path", () => {
+    const mapping = { sources: [{ type: "order", value: "line_items.0.sku" }], separator: "", transforms: [], defaultValue: "" };
+    expect(resolveFieldMapping(mapping, order)).toBe("A1");
+  });
+});
+
+describe("applyFieldMappings", () => {
+  it("overrides text fields and keeps numbers numeric", () => {
+    const mappings = [
+      { field: "remarks", sources: [{ type: "literal", value: "Fragile" }], separator: " ", transforms: [], defaultValue: "" },
+      { field: "weight", sources: [{ type: "literal", value: "2.5" }], separator: " ", transforms: [], defaultValue: "" },
+      { field: "codAmount", sources: [{ type: "literal", value: "abc" }], separator: " ", transforms: [], defaultValue: "" },
+    ];
+
+    const result = applyFieldMappings({ remarks: "", weight: 1, codAmount: 100 }, order, mappings);
+
+    expect(result.orderData).toEqual({ remarks: "Fragile", weight: 2.5, codAmount: 100 });
+    expect(result.applied.map((a) => a.field)).toEqual(["remarks", "weight"]);
+    expect(result.errors).toEqual(['codAmount: "abc" is not a number, kept 100']);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Order Validation
+ * Checks prepared Delifast order data before it is sent
+ */
+
+import { mapProvinceToCity } from './cityMapping';
+import { normalizeUaePhone } from './phone';
+
+/**
+ * Issue severities
+ * Errors block the send; warnings are recorded but the order is still sent
+ */
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+/**
+ * Round a money amount to 2 decimals
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate prepared order data
+ * @param {Object} orderData - Payload from prepareOrderDataForDelifast
+ * @param {Object} order - Original Shopify order
+ * @param {Object} options - { catalog, area, phone, payment, schedule } synced city
+ *   catalog, and the area, phone, payment and delivery schedule from
+ *   prepareShipmentData (all optional)
+ * @returns {Array} Issues: [{ code, severity, field, message }]
+ */
+export function validateOrderData(orderData, order, options = {}) {
+  const { catalog = null, area = null } = options;
+  const phone = options.phone || normalizeUaePhone(orderData.billing_phone);
+  const issues = [];
+
+  const addIssue = (code, severity, field, message) => {
+    issues.push({ code, severity, field, message });
+  };
+
+  // Phone
+  if (!phone.raw) {
+    addIssue('missing_phone', SEVERITY.ERROR, 'billing_phone', 'Customer phone number is missing');
+  } else if (!phone.valid) {
+    addIssue('invalid_phone', SEVERITY.ERROR, 'billing_phone', phone.reason);
+  }
+
+  // Address
+  if (!String(orderData.billing_address_1 || '').trim()) {
+    addIssue('missing_address', SEVERITY.ERROR, 'billing_address_1', 'Street address is missing');
+  }
+
+  // Province -> city
+  if (!orderData.billing_state) {
+    addIssue(
+      'missing_province',
+      SEVERITY.WARNING,
+      'billing_city',
+      'No emirate on the address, the default city was used'
+    );
+  } else if (mapProvinceToCity(orderData.billing_state, null, catalog) === null) {
+    addIssue(
+      'unmapped_province',
+      SEVERITY.WARNING,
+      'billing_city',
+      `Emirate "${orderData.billing_state}" could not be mapped, the default city was used`
+    );
+  }
+
+  // Area (only checked once the area catalog is synced)
+  if (area?.checked && !area.match) {
+    addIssue(
+      'unresolved_area',
+      SEVERITY.WARNING,
+      'billing_area',
+      'No Delifast area matched the address, please review'
+    );
+  } else if (area?.match && !area.match.confident) {
+    addIssue(
+      'low_confidence_area',
+      SEVERITY.WARNING,
+      'billing_area',
+      `Area "${area.match.areaName}" matched on ${area.match.matchedOn} with low confidence (${area.match.score}), ` +
+        'sent without an area - add an area alias if the match is right'
+    );
+  }
+
+  // Products
+  if (!orderData.Products || orderData.Products.length === 0) {
+    addIssue('no_line_items', SEVERITY.ERROR, 'Products', 'Order has no shippable line items');
+  }
+
+  // COD amount - checked against Shopify's own outstanding balance (converted
+  // to AED) plus the surcharge; rounding may move it by up to one step and
+  // the store minimum may raise it
+  const isCOD = orderData.paymentMethodId === 0;
+  const codAmount = parseFloat(orderData.codAmount || 0);
+  const shopifyOutstanding = parseFloat(order?.total_outstanding ?? order?.total_price ?? 0) || 0;
+  const expected = roundMoney(
+    shopifyOutstanding * (options.payment?.exchangeRate ?? 1) + (options.payment?.codSurcharge || 0)
+  );
+  const tolerance = Math.max(0.01, options.payment?.codRoundingStep || 0);
+  const isMinimum = options.payment?.codMinimum > 0 && codAmount === options.payment.codMinimum &&
+    expected < options.payment.codMinimum;
+
+  // Delifast collects in AED only
+  if (isCOD && options.payment?.currencyError) {
+    addIssue('unsupported_currency', SEVERITY.ERROR, 'codAmount', options.payment.currencyError);
+  }
+
+  if (isCOD && codAmount <= 0) {
+    addIssue('cod_amount_zero', SEVERITY.ERROR, 'codAmount', 'COD order has no amount to collect');
+  } else if (!isCOD && codAmount > 0) {
+    addIssue(
+      'cod_amount_mismatch',
+      SEVERITY.ERROR,
+      'codAmount',
+      `Prepaid order has a COD amount of ${codAmount}`
+    );
+  } else if (
+    isCOD &&
+    !options.payment?.currencyError &&
+    !isMinimum &&
+    Math.abs(codAmount - expected) > tolerance
+  ) {
+    addIssue(
+      'cod_amount_mismatch',
+      SEVERITY.WARNING,
+      'codAmount',
+      `COD amount ${codAmount} differs from the Shopify outstanding balance plus surcharge (${expected} AED)`
+    );
+  }
+
+  // An unclassified gateway that doesn't look like COD is sent as prepaid -
+  // with money still owed the driver might have to collect it, so ask first
+  if (!isCOD && options.payment?.unclassifiedBalance) {
+    addIssue(
+      'unclassified_gateway',
+      SEVERITY.ERROR,
+      'paymentMethodId',
+      `Payment gateway "${options.payment.gateways.join(', ')}" is not classified and ` +
+        `${options.payment.outstanding} AED is still unpaid - classify it as COD or prepaid ` +
+        'on the Payment Gateways tab, then resend'
+    );
+  }
+
+  if (isCOD && options.payment?.overCap) {
+    addIssue(
+      'cod_over_cap',
+      SEVERITY.WARNING,
+      'codAmount',
+      `COD amount ${codAmount} is above the store maximum, it is only sent manually`
+    );
+  }
+
+  // Requested delivery date - unusable dates are dropped, undeliverable ones block
+  const schedule = options.schedule;
+  if (schedule?.status === 'invalid' || schedule?.status === 'past') {
+    addIssue(
+      `${schedule.status}_delivery_date`,
+      SEVERITY.WARNING,
+      'deliveryDate',
+      `${schedule.message}, sent without a delivery date`
+    );
+  } else if (schedule?.status === 'blocked') {
+    addIssue('blocked_delivery_date', SEVERITY.ERROR, 'deliveryDate', schedule.message);
+  } else if (schedule?.status === 'cutoff') {
+    addIssue('delivery_cutoff_passed', SEVERITY.ERROR, 'deliveryDate', schedule.message);
+  }
+
+  return issues;
+}
+
+/**
+ * Check whether any issue blocks the send
+ * @param {Array} issues - Validation issues
+ * @returns {boolean} True if there is at least one error
+ */
+export function hasBlockingIssues(issues) {
+  return (issues || []).some(issue => issue.severity === SEVERITY.ERROR);
+}
+
+/**
+ * Parse stored validation issues (JSON string)
+ * @param {string|null} value - Stored issues
+ * @returns {Array} Issues
+ */
+export function parseIssues(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
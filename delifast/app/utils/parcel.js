@@ -0,0 +1,94 @@
+/**
+ * Parcel Utilities
+ * Parcel contents, weight and dimension helpers for Delifast shipments
+ */
+
+/**
+ * Parse a "LxWxH" dimensions string (cm)
+ * Accepts "x", "X" or "*" as separators and decimal values
+ * @param {string} value - Dimensions string, e.g. "30x20x10"
+ * @returns {Object|null} { length, width, height } or null if invalid
+ */
+export function parseDimensions(value) {
+  const parts = String(value || '')
+    .trim()
+    .split(/\s*[xX*]\s*/);
+
+  if (parts.length !== 3) return null;
+
+  const [length, width, height] = parts.map(part => Number(part));
+
+  if ([length, width, height].some(n => !Number.isFinite(n) || n <= 0)) {
+    return null;
+  }
+
+  return { length, width, height };
+}
+
+/**
+ * Format dimensions back to the stored "LxWxH" form
+ * @param {Object} dimensions - { length, width, height }
+ * @returns {string} Dimensions string
+ */
+export function formatDimensions({ length, width, height }) {
+  return `${length}x${width}x${height}`;
+}
+
+/**
+ * Why a line item is left out of the parcel, or null if it ships
+ * @param {Object} item - Shopify line item
+ * @returns {string|null} "gift_card", "tip", "not_shippable" or null
+ */
+function getExclusionReason(item) {
+  if (item.gift_card) return 'gift_card';
+  if (!item.product_id && /^tips?$/i.test(String(item.title || '').trim())) return 'tip';
+  if (item.requires_shipping === false) return 'not_shippable';
+  return null;
+}
+
+/**
+ * Split line items into those that go in the parcel and those that don't
+ * (gift cards, tips, digital and other items that don't require shipping)
+ * @param {Array} lineItems - Shopify line items
+ * @returns {Object} { shippable, excluded } - excluded: [{ id, name, quantity, reason }]
+ */
+export function splitShippableItems(lineItems) {
+  const shippable = [];
+  const excluded = [];
+
+  for (const item of lineItems || []) {
+    const reason = getExclusionReason(item);
+
+    if (reason) {
+      excluded.push({
+        id: item.id,
+        name: item.name || item.title || 'Item',
+        quantity: item.quantity || 1,
+        reason,
+      });
+    } else {
+      shippable.push(item);
+    }
+  }
+
+  return { shippable, excluded };
+}
+
+/**
+ * Calculate shipment weight in kg from line item grams x quantity
+ * @param {Array} lineItems - Shopify line items (with grams)
+ * @param {number} defaultWeight - Store default weight in kg
+ * @returns {number} Weight in kg
+ */
+export function calculateParcelWeight(lineItems, defaultWeight) {
+  const grams = (lineItems || []).reduce(
+    (sum, item) => sum + (Number(item.grams) || 0) * (Number(item.quantity) || 1),
+    0
+  );
+
+  if (grams <= 0) {
+    return defaultWeight;
+  }
+
+  return Math.round(grams) / 1000;
+}
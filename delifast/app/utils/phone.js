@@ -0,0 +1,97 @@
+/**
+ * Phone Utilities
+ * Normalizes UAE phone numbers to a single canonical format (+9715XXXXXXXX)
+ */
+
+/**
+ * UAE mobile numbers: 5X XXX XXXX with X in the operator prefixes 50/52/54/55/56/58
+ */
+const UAE_MOBILE_PATTERN = /^5[024568]\d{7}$/;
+
+/**
+ * UAE landlines: area code 2, 3, 4, 6, 7 or 9 followed by 7 digits
+ */
+const UAE_LANDLINE_PATTERN = /^[234679]\d{7}$/;
+
+/**
+ * Convert Arabic-Indic (٠-٩) and Eastern Arabic-Indic (۰-۹) digits to 0-9
+ * @param {string} value - Text with digits
+ * @returns {string} Text with Western digits
+ */
+export function toWesternDigits(value) {
+  return String(value || '')
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0));
+}
+
+/**
+ * Normalize a UAE phone number
+ * Accepts local (050 123 4567), international (+971 50 123 4567, 00971-50...)
+ * and Arabic-Indic digit forms.
+ * @param {string} raw - Phone as entered
+ * @param {Object} options - { requireMobile } reject landlines when true
+ * @returns {Object} { raw, normalized, type, valid, reason }
+ */
+export function normalizeUaePhone(raw, options = {}) {
+  const { requireMobile = false } = options;
+  const result = { raw: raw || '', normalized: null, type: null, valid: false, reason: null };
+
+  let digits = toWesternDigits(raw).replace(/\D/g, '');
+
+  if (!digits) {
+    result.reason = 'Phone number is missing';
+    return result;
+  }
+
+  // Strip the international prefix (00971 / 971) or the trunk 0
+  if (digits.startsWith('00971')) {
+    digits = digits.slice(5);
+  } else if (digits.startsWith('971')) {
+    digits = digits.slice(3);
+  }
+  digits = digits.replace(/^0+/, '');
+
+  if (UAE_MOBILE_PATTERN.test(digits)) {
+    result.type = 'mobile';
+  } else if (UAE_LANDLINE_PATTERN.test(digits)) {
+    result.type = 'landline';
+  } else {
+    result.reason = `Phone number "${raw}" is not a valid UAE number`;
+    return result;
+  }
+
+  result.normalized = `+971${digits}`;
+
+  if (requireMobile && result.type !== 'mobile') {
+    result.reason = `Phone number "${raw}" is a landline, a mobile number is required`;
+    return result;
+  }
+
+  result.valid = true;
+  return result;
+}
+
+/**
+ * Pick the consignee phone, falling back through the delivery address,
+ * shipping, billing, customer and order phone
+ * @param {Object} order - Shopify order
+ * @param {Object} address - Selected delivery address
+ * @param {Object} options - { requireMobile }
+ * @returns {Object} Normalized result of the first valid phone, or of the
+ *   first non-empty one when none is valid
+ */
+export function pickConsigneePhone(order, address, options = {}) {
+  const candidates = [
+    address?.phone,
+    order?.shipping_address?.phone,
+    order?.billing_address?.phone,
+    order?.customer?.phone,
+    order?.phone,
+  ].filter(Boolean);
+
+  const results = [...new Set(candidates)].map(phone => normalizeUaePhone(phone, options));
+
+  return results.find(result => result.valid) ||
+    results[0] ||
+    normalizeUaePhone('', options);
+}
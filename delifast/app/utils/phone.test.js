@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { toWesternDigits, normalizeUaePhone, pickConsigneePhone } from "./phone";
+
+describe("toWesternDigits", () => {
+  it("converts Arabic-Indic and Eastern Arabic-Indic digits", () => {
+    expect(toWesternDigits("٠٥٠١٢٣٤٥٦٧")).toBe("0501234567");
+    expect(toWesternDigits("۰۵۵")).toBe("055");
+  });
+});
+
+describe("normalizeUaePhone", () => {
+  it.each([
+    ["050 123 4567"],
+    ["+971 50 123 4567"],
+    ["00971-50-123-4567"],
+    ["971501234567"],
+    ["٠٥٠١٢٣٤٥٦٧"],
+  ])("normalizes %s to +971501234567", (raw) => {
+    const result = normalizeUaePhone(raw);
+    expect(result.normalized).toBe("+971501234567");
+    expect(result.type).toBe("mobile");
+    expect(result.valid).toBe(true);
+  });
+
+  it("accepts landlines unless a mobile is required", () => {
+    expect(normalizeUaePhone("04 123 4567")).toMatchObject({
+      normalized: "+97141234567",
+      type: "landline",
+      valid: true,
+    });
+
+    const required = normalizeUaePhone("04 123 4567", { requireMobile: true });
+    expect(required.valid).toBe(false);
+    expect(required.reason).toMatch(/landline/);
+  });
+
+  it("rejects missing and non-UAE numbers", () => {
+    expect(normalizeUaePhone("").reason).toBe("Phone number is missing");
+    expect(normalizeUaePhone("+44 20 7946 0958")).toMatchObject({ valid: false, normalized: null });
+    expect(normalizeUaePhone("051 123 4567").valid).toBe(false);
+  });
+});
+
+describe("pickConsigneePhone", () => {
+  it("falls back to the first valid phone", () => {
+    const order = {
+      shipping_address: { phone: "123" },
+      billing_address: { phone: "055 765 4321" },
+      phone: "050 123 4567",
+    };
+
+    expect(pickConsigneePhone(order, order.shipping_address).normalized).toBe("+971557654321");
+  });
+
+  it("returns the first phone when none is valid", () => {
+    const order = { shipping_address: { phone: "123" }, phone: "456" };
+
+    const result = pickConsigneePhone(order, order.shipping_address);
+    expect(result.raw).toBe("123");
+    expect(result.valid).toBe(false);
+  });
+
+  it("reports a missing phone", () => {
+    expect(pickConsigneePhone({}, {}).reason).toBe("Phone number is missing");
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Remarks Utilities
+ * Builds the driver remarks from the order note and checkout attributes
+ */
+
+/**
+ * Collapse line breaks and repeated whitespace into single spaces
+ */
+function compact(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse the comma-separated attribute names setting
+ * @param {string} value - e.g. "Gate code, Delivery instructions"
+ * @returns {string[]} Trimmed names
+ */
+export function parseAttributeNames(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build shipment remarks: the order note followed by the selected
+ * checkout attributes as "Name: value", joined with " | "
+ * @param {Object} order - Shopify order (note, note_attributes)
+ * @param {Object} options - { includeNote, attributes, maxLength }
+ *   attributes are matched case-insensitively; maxLength 0 means no limit
+ * @returns {string} Remarks, truncated with "…" when over maxLength
+ */
+export function buildRemarks(order, options = {}) {
+  const { includeNote = true, attributes = [], maxLength = 0 } = options;
+  const parts = [];
+
+  if (includeNote && compact(order?.note)) {
+    parts.push(compact(order.note));
+  }
+
+  const wanted = attributes.map(name => name.toLowerCase());
+
+  for (const attribute of order?.note_attributes || []) {
+    const name = compact(attribute.name);
+    const value = compact(attribute.value);
+
+    if (value && wanted.includes(name.toLowerCase())) {
+      parts.push(`${name}: ${value}`);
+    }
+  }
+
+  const remarks = parts.join(' | ');
+
+  if (maxLength > 0 && remarks.length > maxLength) {
+    return `${remarks.slice(0, maxLength - 1).trimEnd()}…`;
+  }
+
+  return remarks;
+}
@@ -78,6 +78,18 @@ export const shopifyStatusMap = {
     color: '#9b59b6', // Purple
     tone: 'attention',
   },
+  scheduled: {
+    tag: 'delifast-scheduled',
+    fulfillmentStatus: null,
+    color: '#1abc9c', // Teal
+    tone: 'info',
+  },
+  held: {
+    tag: 'delifast-held',
+    fulfillmentStatus: null,
+    color: '#e67e22', // Dark orange
+    tone: 'warning',
+  },
   error: {
     tag: 'delifast-error',
     fulfillmentStatus: null,
@@ -195,6 +207,21 @@ export function getAllDelifastTags() {
   return Object.values(shopifyStatusMap).map(s => s.tag);
 }
 
+/**
+ * Statuses in which a shipment can still be cancelled in Delifast
+ * (once a driver has the parcel Delifast rejects the cancellation)
+ */
+const cancellableStatuses = ['new'];
+
+/**
+ * Check if a shipment in the given status can be cancelled
+ * @param {string} status - Simplified status
+ * @returns {boolean} True if cancellable
+ */
+export function isCancellableStatus(status) {
+  return cancellableStatuses.includes(status);
+}
+
 /**
  * Check if a shipment ID is temporary
  * @param {string} shipmentId - Shipment ID to check
@@ -229,6 +256,8 @@ export function getStatusLabel(status) {
     completed: 'Delivered',
     cancelled: 'Cancelled',
     returned: 'Returned',
+    scheduled: 'Scheduled',
+    held: 'Held',
     error: 'Error',
     unknown: 'Unknown',
   };
@@ -247,6 +276,8 @@ export function getStatusLabelAr(status) {
     completed: 'تم التسليم',
     cancelled: 'ملغي',
     returned: 'مرتجع',
+    scheduled: 'مجدول',
+    held: 'معلق',
     error: 'خطأ',
     unknown: 'غير معروف',
   };
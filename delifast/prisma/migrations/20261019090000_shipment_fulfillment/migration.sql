@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN     "fulfillmentId" TEXT,
+ADD COLUMN     "fulfillmentStatus" TEXT;
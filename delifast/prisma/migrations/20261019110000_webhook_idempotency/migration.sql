@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "ProcessedWebhook" (
+    "webhookId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProcessedWebhook_pkey" PRIMARY KEY ("webhookId")
+);
+
+-- CreateTable
+CREATE TABLE "OrderSendLock" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shopifyOrderId" TEXT NOT NULL,
+    "lockedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderSendLock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProcessedWebhook_receivedAt_idx" ON "ProcessedWebhook"("receivedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderSendLock_shop_shopifyOrderId_key" ON "OrderSendLock"("shop", "shopifyOrderId");
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "DelifastCity" (
+    "id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameAr" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DelifastCity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DelifastArea" (
+    "id" INTEGER NOT NULL,
+    "cityId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameAr" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DelifastArea_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DelifastArea_cityId_idx" ON "DelifastArea"("cityId");
+
+-- AddForeignKey
+ALTER TABLE "DelifastArea" ADD CONSTRAINT "DelifastArea_cityId_fkey" FOREIGN KEY ("cityId") REFERENCES "DelifastCity"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "AreaAlias" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "alias" TEXT NOT NULL,
+    "areaId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AreaAlias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AreaAlias_shop_alias_key" ON "AreaAlias"("shop", "alias");
+
+-- AddForeignKey
+ALTER TABLE "AreaAlias" ADD CONSTRAINT "AreaAlias_shop_fkey" FOREIGN KEY ("shop") REFERENCES "StoreSettings"("shop") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "addressSource" TEXT NOT NULL DEFAULT 'shipping_billing';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "requireMobilePhone" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "PaymentGatewayRule" (
+    "id" SERIAL NOT NULL,
+    "shop" TEXT NOT NULL,
+    "gateway" TEXT NOT NULL,
+    "paymentType" TEXT NOT NULL DEFAULT 'unclassified',
+    "feesOnSender" BOOLEAN,
+    "feesPaid" BOOLEAN,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PaymentGatewayRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentGatewayRule_shop_gateway_key" ON "PaymentGatewayRule"("shop", "gateway");
+
+-- AddForeignKey
+ALTER TABLE "PaymentGatewayRule" ADD CONSTRAINT "PaymentGatewayRule_shop_fkey" FOREIGN KEY ("shop") REFERENCES "StoreSettings"("shop") ON DELETE RESTRICT ON UPDATE CASCADE;
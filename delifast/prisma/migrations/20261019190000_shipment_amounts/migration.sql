@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN "amountPaid" DOUBLE PRECISION,
+ADD COLUMN "codAmount" DOUBLE PRECISION,
+ADD COLUMN "orderTotal" DOUBLE PRECISION;
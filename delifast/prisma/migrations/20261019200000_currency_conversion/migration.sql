@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN "currency" TEXT,
+ADD COLUMN "exchangeRate" DOUBLE PRECISION,
+ADD COLUMN "originalCodAmount" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "currencyRates" TEXT;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN "codAdjustment" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "codMaximum" DOUBLE PRECISION,
+ADD COLUMN "codMinimum" DOUBLE PRECISION,
+ADD COLUMN "codRoundingMode" TEXT NOT NULL DEFAULT 'nearest',
+ADD COLUMN "codRoundingStep" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "codSurchargeType" TEXT NOT NULL DEFAULT 'none',
+ADD COLUMN "codSurchargeValue" DOUBLE PRECISION NOT NULL DEFAULT 0;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "colorOptionNames" TEXT NOT NULL DEFAULT 'Color, Colour, Couleur, لون, اللون',
+ADD COLUMN "sizeOptionNames" TEXT NOT NULL DEFAULT 'Size, Taille, مقاس, المقاس';
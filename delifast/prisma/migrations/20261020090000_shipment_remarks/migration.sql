@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "remarksAttributes" TEXT,
+ADD COLUMN "remarksIncludeNote" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN "remarksMaxLength" INTEGER NOT NULL DEFAULT 250;
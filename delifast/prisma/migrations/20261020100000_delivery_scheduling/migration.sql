@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN "deliveryDate" TEXT,
+ADD COLUMN "deliverySlot" TEXT,
+ADD COLUMN "scheduledFor" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "blockedDates" TEXT,
+ADD COLUMN "blockedWeekdays" TEXT NOT NULL DEFAULT '',
+ADD COLUMN "deliveryCutoffTime" TEXT,
+ADD COLUMN "deliveryDateField" TEXT,
+ADD COLUMN "deliverySlotField" TEXT,
+ADD COLUMN "scheduleLeadDays" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Shipment_status_scheduledFor_idx" ON "Shipment"("status", "scheduledFor");
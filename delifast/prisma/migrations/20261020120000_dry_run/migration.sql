@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "StoreSettings" ADD COLUMN "dryRun" BOOLEAN NOT NULL DEFAULT false;
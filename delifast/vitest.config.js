@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests run without the React Router plugin from vite.config.js
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});